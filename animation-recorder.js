@@ -0,0 +1,211 @@
+/**
+ * Animation Recorder - Replay the flow animation frame by frame and encode it as GIF or WebM
+ *
+ * Frames are not captured from the live playback: the recorder parks the seekable
+ * playhead at fixed time intervals, so the output has an exact frame rate no matter
+ * how fast the machine rasterizes.
+ */
+class AnimationRecorder {
+    constructor(canvasEngine, animationSystem, diagramExporter) {
+        this.canvas = canvasEngine;
+        this.animator = animationSystem;
+        this.exporter = diagramExporter;
+        this.isRecording = false;
+    }
+
+    /**
+     * Record the full flow (startObjectId null) or the flow from one object
+     * options: { startObjectId, format: 'gif' | 'webm', fps, width, onProgress }
+     */
+    async record({ startObjectId = null, format = 'gif', fps = 15, width = null, onProgress = () => {} } = {}) {
+        if (this.isRecording) {
+            throw new Error('이미 녹화 중입니다.');
+        }
+        if (format === 'webm' && !this.supportsWebm()) {
+            throw new Error('이 브라우저는 WebM 녹화를 지원하지 않습니다.');
+        }
+
+        this.isRecording = true;
+
+        // Interactive branches cannot be answered while recording
+        const branchMode = this.animator.branchMode;
+        if (branchMode === 'interactive') {
+            this.animator.setBranchMode('first');
+        }
+
+        this.canvas.canvas.classList.add('recording');
+
+        try {
+            if (!this.animator.loadFlowTimeline(startObjectId)) {
+                throw new Error('녹화할 애니메이션 단계가 없습니다.');
+            }
+
+            const bounds = this.canvas.getExportBounds();
+            const scale = width ? width / bounds.width : 1;
+            const outputWidth = Math.round(bounds.width * scale);
+            const outputHeight = Math.round(bounds.height * scale);
+
+            const firstStep = this.animator.playhead.step;
+            const frameTimes = this.getFrameTimes(fps, firstStep);
+            const frameCanvas = document.createElement('canvas');
+            frameCanvas.width = outputWidth;
+            frameCanvas.height = outputHeight;
+            const context = frameCanvas.getContext('2d');
+
+            // Frames are encoded as soon as they are drawn; only the encoder keeps anything
+            const gif = format === 'gif' ? new GifEncoder(outputWidth, outputHeight) : null;
+            const webm = gif ? null : this.createWebmWriter(frameCanvas, fps);
+
+            try {
+                for (let i = 0; i < frameTimes.length; i++) {
+                    this.seekTime(frameTimes[i], firstStep);
+                    const image = await this.rasterize(this.exporter.createSvgString());
+                    this.drawFrame(context, image, outputWidth, outputHeight);
+
+                    if (gif) {
+                        // Delays are rounded cumulatively so the total length stays exact
+                        const next = i + 1 < frameTimes.length ? frameTimes[i + 1] : frameTimes[i] + 1000;
+                        const delay = Math.round(next / 10) - Math.round(frameTimes[i] / 10);
+                        gif.addFrame(context.getImageData(0, 0, outputWidth, outputHeight).data, delay);
+                    } else {
+                        await webm.addFrame();
+                    }
+
+                    onProgress((i + 1) / frameTimes.length);
+                }
+            } catch (error) {
+                if (webm) webm.cancel();
+                throw error;
+            }
+
+            return gif ? gif.finish() : await webm.finish();
+        } finally {
+            this.canvas.canvas.classList.remove('recording');
+            this.animator.stopAnimation();
+            this.animator.setBranchMode(branchMode);
+            this.isRecording = false;
+        }
+    }
+
+    /**
+     * Playhead times (ms from the first recorded step) of every frame at the current speed
+     */
+    getFrameTimes(fps, firstStep) {
+        let duration = 0;
+        for (let step = firstStep; step < this.animator.timeline.length; step++) {
+            duration += this.animator.getStepDuration(step);
+        }
+        const interval = 1000 / fps;
+
+        const times = [];
+        for (let time = 0; time < duration; time += interval) {
+            times.push(time);
+        }
+        // Always end on the finished state
+        times.push(duration);
+
+        return times;
+    }
+
+    /**
+     * Move the playhead to a time offset within the recorded part of the timeline
+     */
+    seekTime(time, firstStep) {
+        const lastStep = this.animator.timeline.length - 1;
+        let remaining = time;
+
+        // Steps can differ in length (proportional timing)
+        for (let step = firstStep; step <= lastStep; step++) {
+            const duration = this.animator.getStepDuration(step);
+            if (remaining < duration) {
+                this.animator.seek(step, remaining / duration);
+                return;
+            }
+            remaining -= duration;
+        }
+
+        this.animator.seek(lastStep, 1);
+    }
+
+    /**
+     * Load an SVG string into a decoded image
+     */
+    rasterize(svgString) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => resolve(image);
+            image.onerror = () => reject(new Error('SVG could not be rasterized'));
+            image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svgString)}`;
+        });
+    }
+
+    /**
+     * Paint one frame onto an opaque canvas
+     */
+    drawFrame(context, image, width, height) {
+        context.fillStyle = this.exporter.backgroundColor;
+        context.fillRect(0, 0, width, height);
+        context.drawImage(image, 0, 0, width, height);
+    }
+
+    /**
+     * Whether the browser can record a canvas into WebM
+     */
+    supportsWebm() {
+        return typeof MediaRecorder !== 'undefined' &&
+            typeof HTMLCanvasElement.prototype.captureStream === 'function' &&
+            MediaRecorder.isTypeSupported('video/webm');
+    }
+
+    /**
+     * Stream frames drawn on `frameCanvas` into a WebM MediaRecorder. The recorder is paused
+     * while the next frame is rasterized, so each frame lasts exactly 1 / fps in the video
+     */
+    createWebmWriter(frameCanvas, fps) {
+        const mimeType = MediaRecorder.isTypeSupported('video/webm;codecs=vp9')
+            ? 'video/webm;codecs=vp9'
+            : 'video/webm';
+        const stream = frameCanvas.captureStream(0);
+        const [track] = stream.getVideoTracks();
+        const recorder = new MediaRecorder(stream, { mimeType });
+        const chunks = [];
+
+        recorder.ondataavailable = (e) => {
+            if (e.data && e.data.size > 0) {
+                chunks.push(e.data);
+            }
+        };
+        const stopped = new Promise(resolve => {
+            recorder.onstop = resolve;
+        });
+
+        const interval = 1000 / fps;
+        recorder.start();
+        recorder.pause();
+
+        return {
+            addFrame: async () => {
+                recorder.resume();
+                track.requestFrame();
+                // The frame stays on screen for its slot on the wall clock
+                await new Promise(resolve => setTimeout(resolve, interval));
+                recorder.pause();
+            },
+            finish: async () => {
+                recorder.stop();
+                await stopped;
+                stream.getTracks().forEach(t => t.stop());
+                return new Blob(chunks, { type: 'video/webm' });
+            },
+            cancel: () => {
+                if (recorder.state !== 'inactive') recorder.stop();
+                stream.getTracks().forEach(t => t.stop());
+            }
+        };
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AnimationRecorder;
+}
@@ -1,21 +1,86 @@
 /**
  * Animation System - Handle flow animations and visual effects
+ *
+ * Playback is a seekable state machine: the diagram is compiled into a
+ * timeline of steps, and a requestAnimationFrame loop moves a playhead
+ * (step index + progress) across it. Every frame is rendered from the
+ * playhead alone, so pausing, stepping and scrubbing restore the exact
+ * highlight state of any point in the flow.
  */
 class AnimationSystem {
     constructor(canvasEngine) {
         this.canvas = canvasEngine;
         this.animationQueue = [];
-        this.isAnimating = false;
         this.animationSpeed = 1.0;
         this.connections = [];
         this.flowGraph = new Map();
+        this.fragments = new Map();
+        this.notes = new Map();
+        this.activations = [];
+        this.sequence = [];
+
+        // 'auto' plays sequence diagrams as a timeline and everything else as a graph walk
+        this.playbackMode = 'auto';
+        this.diagramType = 'sequence';
+
+        // Combined fragment playback options
+        this.branchMode = 'first';
+        this.branchSelections = new Map();
+        this.resolvedBranches = new Map();
+        this.loopIterations = 2;
+        this.maxLoopIterations = 10;
+        this.maxGraphSteps = 500;
+        this.pendingBranchChoice = null;
+
+        // Playback state machine: 'idle' | 'playing' | 'paused' | 'waiting' | 'ended'
+        this.state = 'idle';
+        this.timeline = [];
+        this.timelineSource = null;
+        this.playhead = { step: 0, progress: 0 };
+        this.renderedKey = null;
+        this.frameRequest = null;
+        this.lastFrameTime = null;
+        this.playbackPromise = null;
+        this.resolvePlayback = null;
+        this.flashFrame = null;
+
+        // Flow effect: 'none' animates the line itself, the others send a token along it
+        this.tokenStyle = 'none';
+        this.showTokenPayload = false;
+
+        // Base phase durations of a single step (ms at 1x speed)
+        this.stepTimings = { sender: 200, flow: 800, receiver: 300 };
+
+        // 'fixed' gives every step the base timings; 'proportional' makes the flow phase last the
+        // message's annotated latency in real time, with shorter highlight phases around it
+        this.timingMode = 'fixed';
+        this.proportionalTimings = { sender: 100, receiver: 150, minFlow: 40 };
+        this.latencies = new Map();
     }
 
     /**
-     * Initialize with connections data
+     * Whether a playback is loaded and not finished
      */
-    initialize(connections) {
+    get isAnimating() {
+        return this.state === 'playing' || this.state === 'paused' || this.state === 'waiting';
+    }
+
+    /**
+     * Initialize with connections data and the parsed fragment structure
+     */
+    initialize(connections, structure = {}) {
+        if (this.state !== 'idle') {
+            this.stopAnimation();
+        }
+
         this.connections = connections;
+        this.fragments = new Map((structure.fragments || []).map(fragment => [fragment.id, fragment]));
+        this.notes = new Map((structure.notes || []).map(note => [note.id, note]));
+        this.activations = structure.activations || [];
+        this.sequence = structure.sequence || [];
+        this.diagramType = structure.diagramType || 'sequence';
+        this.latencies = this.resolveLatencies(structure.timeConstraints || []);
+        this.branchSelections.clear();
         this.buildFlowGraph();
     }
 
@@ -26,6 +91,9 @@ class AnimationSystem {
         this.flowGraph.clear();
         
         this.connections.forEach(conn => {
+            // Activation commands are not edges
+            if (!conn.from || !conn.to) return;
+
             if (!this.flowGraph.has(conn.from)) {
                 this.flowGraph.set(conn.from, []);
             }
@@ -37,6 +105,47 @@ class AnimationSystem {
         });
     }
 
+    /**
+     * Latency in ms of each message: its own `{duration=...}`, or an even share of what is left
+     * of a teoz `{start} <-> {end}` span it falls in. Messages without either are left out
+     */
+    resolveLatencies(timeConstraints) {
+        const latencies = new Map();
+        const messages = this.connections.filter(conn => conn.from && conn.to);
+
+        messages
+            .filter(conn => typeof conn.duration === 'number')
+            .forEach(conn => latencies.set(conn.id, conn.duration));
+
+        timeConstraints
+            .filter(constraint => constraint.duration !== null)
+            .forEach(constraint => {
+                const start = messages.findIndex(conn => conn.anchor === constraint.from);
+                const end = messages.findIndex(conn => conn.anchor === constraint.to);
+                if (start === -1 || end === -1) return;
+
+                const span = messages.slice(Math.min(start, end), Math.max(start, end) + 1);
+                const open = span.filter(conn => !latencies.has(conn.id));
+                if (open.length === 0) return;
+
+                const known = span.reduce((sum, conn) => sum + (latencies.get(conn.id) || 0), 0);
+                const share = Math.max(0, constraint.duration - known) / open.length;
+                open.forEach(conn => latencies.set(conn.id, share));
+            });
+
+        return latencies;
+    }
+
+    /**
+     * Choose the flow effect: 'none' (animated line), 'dot', 'envelope' or 'pill'
+     */
+    setTokenStyle(style, showPayload = this.showTokenPayload) {
+        this.tokenStyle = style;
+        this.showTokenPayload = showPayload;
+        this.canvas.clearTokens();
+        this.refresh();
+    }
+
     /**
      * Set animation speed
      */
@@ -44,221 +153,1028 @@ class AnimationSystem {
         this.animationSpeed = Math.max(0.1, Math.min(5.0, speed));
     }
 
+    /**
+     * Set step timing: 'fixed' or 'proportional' (flow lasts the message's annotated latency)
+     */
+    setTimingMode(mode) {
+        this.timingMode = mode;
+        this.refresh();
+    }
+
+    /**
+     * Set playback mode: 'auto', 'timeline' (message order) or 'graph' (flow graph walk)
+     */
+    setPlaybackMode(mode) {
+        this.playbackMode = mode;
+    }
+
+    /**
+     * Resolve 'auto' against the current diagram type
+     */
+    getPlaybackMode() {
+        if (this.playbackMode !== 'auto') return this.playbackMode;
+
+        return this.diagramType === 'sequence' ? 'timeline' : 'graph';
+    }
+
+    /**
+     * Set how alt / opt / break branches are chosen: 'first', 'random' or 'interactive'
+     */
+    setBranchMode(mode) {
+        this.branchMode = mode;
+    }
+
+    /**
+     * Force a branch for a fragment (-1 skips an opt / break fragment)
+     */
+    setBranchSelection(fragmentId, branchIndex) {
+        if (branchIndex === null || branchIndex === undefined) {
+            this.branchSelections.delete(fragmentId);
+        } else {
+            this.branchSelections.set(fragmentId, branchIndex);
+        }
+    }
+
+    /**
+     * Set the repeat count used for loops without an explicit count
+     */
+    setLoopIterations(iterations) {
+        this.loopIterations = Math.max(1, Math.min(this.maxLoopIterations, iterations));
+    }
+
     /**
      * Start flow animation from a specific object
      */
-    async startFlowAnimation(startObjectId) {
-        if (this.isAnimating) {
-            this.stopAnimation();
+    startFlowAnimation(startObjectId) {
+        if (!this.loadFlowTimeline(startObjectId)) {
+            this.canvas.highlightObject(startObjectId, 'highlighted');
+            return Promise.resolve();
         }
 
-        this.isAnimating = true;
-        this.canvas.clearAllHighlights();
+        return this.play();
+    }
+
+    /**
+     * Animate all flows sequentially
+     */
+    animateAllFlows() {
+        this.loadFlowTimeline();
+
+        return this.play();
+    }
+
+    /**
+     * Stop playback and load the flow from an object (or the whole diagram) without playing it
+     */
+    loadFlowTimeline(startObjectId = null) {
+        this.stopAnimation();
+
+        if (startObjectId === null) {
+            this.loadTimeline(this.getDefaultTimelineSource());
+        } else if (this.getPlaybackMode() === 'timeline') {
+            // Play the whole timeline, starting at the first message this object sends
+            const firstMessage = this.connections.find(conn => conn.from === startObjectId && conn.to);
+            if (!firstMessage) return false;
 
-        try {
-            await this.animateFlow(startObjectId, new Set());
-        } catch (error) {
-            console.error('Animation error:', error);
-        } finally {
-            this.isAnimating = false;
+            this.loadTimeline({ type: 'sequence', targetConnectionId: firstMessage.id });
+            const startStep = this.timeline.findIndex(step => step.connectionIds.includes(firstMessage.id));
+            this.playhead = { step: Math.max(0, startStep), progress: 0 };
+        } else {
+            this.loadTimeline({ type: 'graph', startObjectIds: [startObjectId] });
         }
+
+        return this.timeline.length > 0;
     }
 
     /**
-     * Animate flow starting from an object
+     * Timeline source used when the whole diagram is played
      */
-    async animateFlow(objectId, visitedObjects = new Set()) {
-        if (!this.isAnimating || visitedObjects.has(objectId)) {
-            return;
+    getDefaultTimelineSource() {
+        if (this.getPlaybackMode() === 'timeline') {
+            return { type: 'sequence' };
         }
 
-        // Mark as visited to prevent infinite loops
-        visitedObjects.add(objectId);
+        // Find all starting points (objects with no incoming connections)
+        const allObjectIds = new Set();
+        const objectsWithIncoming = new Set();
+
+        this.connections.forEach(conn => {
+            if (!conn.from || !conn.to) return;
+            allObjectIds.add(conn.from);
+            allObjectIds.add(conn.to);
+            objectsWithIncoming.add(conn.to);
+        });
+
+        const startingPoints = Array.from(allObjectIds)
+            .filter(id => !objectsWithIncoming.has(id));
 
-        // Highlight current object
-        this.canvas.highlightObject(objectId, 'highlighted');
-        await this.delay(300 / this.animationSpeed);
+        // If no clear starting points, use the first object
+        if (startingPoints.length === 0 && allObjectIds.size > 0) {
+            startingPoints.push(Array.from(allObjectIds)[0]);
+        }
 
-        if (!this.isAnimating) return;
+        return { type: 'graph', startObjectIds: startingPoints };
+    }
 
-        // Get outgoing connections
-        const outgoingConnections = this.flowGraph.get(objectId) || [];
-        
-        if (outgoingConnections.length === 0) {
-            // End of flow - keep highlighting for a moment
-            await this.delay(500 / this.animationSpeed);
+    /**
+     * Load a fresh timeline and park the playhead at its start
+     */
+    loadTimeline(source) {
+        this.cancelFlash();
+        this.timelineSource = source;
+        this.resolvedBranches.clear();
+        this.compileTimeline();
+        this.playhead = { step: 0, progress: 0 };
+        this.renderedKey = null;
+    }
+
+    /**
+     * (Re)compile the current timeline source into steps
+     */
+    compileTimeline() {
+        const source = this.timelineSource;
+        if (!source) {
+            this.timeline = [];
             return;
         }
 
-        // Animate each outgoing connection
-        for (const connection of outgoingConnections) {
-            if (!this.isAnimating) break;
+        if (source.type === 'graph') {
+            this.timeline = source.startObjectIds
+                .reduce((steps, objectId) => steps.concat(this.compileFlowGraph(objectId)), [])
+                .slice(0, this.maxGraphSteps);
+            return;
+        }
 
-            // Animate the connection
-            await this.animateConnection(connection.connectionId);
-            
-            if (!this.isAnimating) break;
+        const context = {
+            fragmentIds: [],
+            occurrences: new Map(),
+            pendingNoteIds: [],
+            pendingCommandIds: [],
+            targetConnectionId: source.targetConnectionId || null
+        };
+        this.timeline = this.compileItems(this.sequence, context).steps;
 
-            // Continue to next object
-            await this.animateFlow(connection.to, new Set(visitedObjects));
-            
-            // Small delay between branches
-            if (outgoingConnections.length > 1) {
-                await this.delay(200 / this.animationSpeed);
+        // Notes and commands after the last message apply with the final step
+        const lastStep = this.timeline[this.timeline.length - 1];
+        if (lastStep) {
+            lastStep.noteIds = lastStep.noteIds.concat(context.pendingNoteIds.splice(0));
+            lastStep.commands = lastStep.commands.concat(
+                context.pendingCommandIds.splice(0).map(id => ({ id, atStart: false })));
+        }
+    }
+
+    /**
+     * Compile a depth-first walk of the flow graph into steps
+     */
+    compileFlowGraph(startObjectId) {
+        const steps = [];
+
+        const visit = (objectId, visitedObjects) => {
+            // Mark as visited to prevent infinite loops
+            if (visitedObjects.has(objectId) || steps.length >= this.maxGraphSteps) return;
+            visitedObjects.add(objectId);
+
+            (this.flowGraph.get(objectId) || []).forEach(edge => {
+                if (steps.length >= this.maxGraphSteps) return;
+
+                steps.push({ connectionIds: [edge.connectionId], fragmentIds: [], noteIds: [], commands: [] });
+                visit(edge.to, new Set(visitedObjects));
+            });
+        };
+
+        visit(startObjectId, new Set());
+        return steps;
+    }
+
+    /**
+     * Compile sequence items; status is 'complete', 'break' or 'pending' (waiting on a choice)
+     */
+    compileItems(items, context) {
+        const steps = [];
+
+        for (const item of items) {
+            if (item.kind === 'note') {
+                // Notes attached to a message appear with it, others with the next message
+                const note = this.notes.get(item.id);
+                const previous = steps[steps.length - 1];
+                if (note && note.anchorConnectionId && previous) {
+                    previous.noteIds.push(note.id);
+                } else if (note) {
+                    context.pendingNoteIds.push(note.id);
+                }
+                continue;
             }
+
+            if (item.kind === 'command') {
+                // Activations follow the message they belong to; leading ones wait for the next message
+                const previous = steps[steps.length - 1];
+                if (previous) {
+                    previous.commands.push({ id: item.id, atStart: false });
+                } else {
+                    context.pendingCommandIds.push(item.id);
+                }
+                continue;
+            }
+
+            if (item.kind === 'connection') {
+                const connection = this.connections.find(conn => conn.id === item.id);
+                if (connection && connection.from && connection.to) {
+                    steps.push({
+                        connectionIds: [connection.id],
+                        fragmentIds: context.fragmentIds,
+                        noteIds: context.pendingNoteIds.splice(0),
+                        commands: context.pendingCommandIds.splice(0).map(id => ({ id, atStart: true }))
+                    });
+                    if (context.targetConnectionId === connection.id) {
+                        context.targetConnectionId = null;
+                    }
+                }
+                continue;
+            }
+
+            const fragment = this.fragments.get(item.id);
+            if (!fragment) continue;
+
+            const result = this.compileFragment(fragment, context);
+            steps.push(...result.steps);
+            if (result.status !== 'complete') {
+                return { steps, status: result.status };
+            }
+        }
+
+        return { steps, status: 'complete' };
+    }
+
+    /**
+     * Compile a single combined fragment according to its operator
+     */
+    compileFragment(fragment, context) {
+        const inner = { ...context, fragmentIds: context.fragmentIds.concat(fragment.id) };
+        const sync = () => {
+            context.targetConnectionId = inner.targetConnectionId;
+        };
+
+        switch (fragment.type) {
+            case 'alt':
+            case 'opt':
+            case 'break': {
+                const branchIndex = this.resolveBranch(fragment, context);
+                if (branchIndex === null) {
+                    return {
+                        steps: [{ connectionIds: [], fragmentIds: inner.fragmentIds, noteIds: [], commands: [], choice: this.lastChoiceKey }],
+                        status: 'pending'
+                    };
+                }
+                if (branchIndex < 0) return { steps: [], status: 'complete' };
+
+                const result = this.compileItems(fragment.branches[branchIndex].items, inner);
+                sync();
+                if (result.status === 'pending') return result;
+
+                // A taken break ends the enclosing fragment; one taken inside an alt / opt branch
+                // passes through it to the fragment around (e.g. stops a loop)
+                const status = fragment.type === 'break' || result.status === 'break' ? 'break' : 'complete';
+                return { steps: result.steps, status };
+            }
+            case 'loop': {
+                const steps = [];
+                const iterations = Math.min(fragment.iterations || this.loopIterations, this.maxLoopIterations);
+
+                for (let i = 0; i < iterations; i++) {
+                    const result = this.compileItems(fragment.branches[0].items, inner);
+                    sync();
+                    steps.push(...result.steps);
+                    if (result.status === 'pending') return { steps, status: 'pending' };
+                    if (result.status === 'break') break;
+                }
+                return { steps, status: 'complete' };
+            }
+            case 'par':
+                return this.compileParallel(fragment, inner, sync);
+            default: {
+                // critical / group: play every branch in order
+                const steps = [];
+                for (const branch of fragment.branches) {
+                    const result = this.compileItems(branch.items, inner);
+                    sync();
+                    steps.push(...result.steps);
+                    if (result.status === 'pending') return { steps, status: 'pending' };
+                    if (result.status === 'break') break;
+                }
+                return { steps, status: 'complete' };
+            }
+        }
+    }
+
+    /**
+     * Compile par branches side by side: step N plays the Nth message of every branch
+     */
+    compileParallel(fragment, inner, sync) {
+        const results = fragment.branches.map(branch => {
+            const result = this.compileItems(branch.items, inner);
+            sync();
+            return result;
+        });
+
+        const pending = results.filter(result => result.status === 'pending');
+        const length = pending.length > 0
+            ? Math.min(...pending.map(result => result.steps.length))
+            : Math.max(0, ...results.map(result => result.steps.length));
+
+        const steps = [];
+        for (let i = 0; i < length; i++) {
+            const parts = results.map(result => result.steps[i]).filter(Boolean);
+            const choiceStep = parts.find(part => part.choice);
+
+            if (choiceStep) {
+                steps.push(choiceStep);
+                break;
+            }
+
+            steps.push({
+                connectionIds: parts.reduce((ids, part) => ids.concat(part.connectionIds), []),
+                fragmentIds: Array.from(new Set(parts.reduce((ids, part) => ids.concat(part.fragmentIds), []))),
+                noteIds: parts.reduce((ids, part) => ids.concat(part.noteIds), []),
+                commands: parts.reduce((commands, part) => commands.concat(part.commands), [])
+            });
+        }
+
+        // A break taken in any branch ends the fragment around the par once the branches finish
+        if (pending.length > 0) return { steps, status: 'pending' };
+        return { steps, status: results.some(result => result.status === 'break') ? 'break' : 'complete' };
+    }
+
+    /**
+     * Decide which branch of an alt / opt / break fragment runs
+     * (-1 means skipped, null means the user has to choose)
+     */
+    resolveBranch(fragment, context) {
+        const occurrence = context.occurrences.get(fragment.id) || 0;
+        const key = `${fragment.id}#${occurrence}`;
+        const optional = fragment.type !== 'alt';
+        context.occurrences.set(fragment.id, occurrence + 1);
+
+        // Enter the branch holding the message playback should start from
+        if (context.targetConnectionId) {
+            const targetBranch = this.findBranchContaining(fragment, context.targetConnectionId);
+            if (targetBranch >= 0) return targetBranch;
+        }
+
+        if (this.branchSelections.has(fragment.id)) {
+            const selected = this.branchSelections.get(fragment.id);
+            return selected < fragment.branches.length ? selected : 0;
+        }
+
+        if (this.resolvedBranches.has(key)) {
+            return this.resolvedBranches.get(key);
+        }
+
+        let branchIndex;
+        switch (this.branchMode) {
+            case 'random':
+                branchIndex = optional
+                    ? (Math.random() < 0.5 ? 0 : -1)
+                    : Math.floor(Math.random() * fragment.branches.length);
+                break;
+            case 'interactive':
+                this.lastChoiceKey = { fragmentId: fragment.id, key };
+                return null;
+            default:
+                // A break only fires when it is selected explicitly
+                branchIndex = fragment.type === 'break' ? -1 : 0;
+        }
+
+        // Remember the choice so recompiling keeps the same path
+        this.resolvedBranches.set(key, branchIndex);
+        return branchIndex;
+    }
+
+    /**
+     * Index of the branch that (transitively) holds a connection, or -1
+     */
+    findBranchContaining(fragment, connectionId) {
+        const contains = (items) => items.some(item => {
+            if (item.kind === 'connection') return item.id === connectionId;
+
+            const nested = this.fragments.get(item.id);
+            return nested ? nested.branches.some(branch => contains(branch.items)) : false;
+        });
+
+        return fragment.branches.findIndex(branch => contains(branch.items));
+    }
+
+    /**
+     * Ask the UI to pick a branch through a `branchChoice` canvas event
+     */
+    requestBranchChoice(fragment) {
+        const options = fragment.branches.map((branch, index) => ({
+            index,
+            label: branch.label || `${fragment.type} ${index + 1}`
+        }));
+        if (fragment.type !== 'alt') {
+            options.push({ index: -1, label: null });
+        }
+
+        return new Promise(resolve => {
+            const choose = (index) => {
+                if (this.pendingBranchChoice !== choose) return;
+
+                this.pendingBranchChoice = null;
+                this.canvas.canvas.dispatchEvent(new CustomEvent('branchChoiceEnd', {
+                    detail: { fragmentId: fragment.id, index }
+                }));
+                resolve(index);
+            };
+
+            this.pendingBranchChoice = choose;
+            this.canvas.canvas.dispatchEvent(new CustomEvent('branchChoice', {
+                detail: { fragment, options, choose }
+            }));
+        });
+    }
+
+    /**
+     * Start or resume playback; resolves when playback ends or is stopped
+     */
+    play() {
+        if (this.timeline.length === 0) {
+            this.loadTimeline(this.getDefaultTimelineSource());
+            if (this.timeline.length === 0) return Promise.resolve();
+        }
+
+        if (this.state === 'ended') {
+            this.playhead = { step: 0, progress: 0 };
+        }
+
+        if (!this.playbackPromise) {
+            this.playbackPromise = new Promise(resolve => {
+                this.resolvePlayback = resolve;
+            });
+        }
+
+        this.setState('playing');
+        this.renderFrame();
+
+        if (this.timeline[this.playhead.step].choice) {
+            this.waitForChoice();
+        } else {
+            this.scheduleFrame();
+        }
+
+        return this.playbackPromise;
+    }
+
+    /**
+     * Pause playback, keeping the current highlight state
+     */
+    pause() {
+        if (this.state !== 'playing') return;
+
+        this.cancelFrame();
+        this.setState('paused');
+    }
+
+    /**
+     * Resume a paused playback
+     */
+    resume() {
+        if (this.state === 'paused') {
+            this.play();
+        }
+    }
+
+    /**
+     * Toggle between playing and paused, starting playback when idle
+     */
+    togglePause() {
+        if (this.state === 'playing') {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    /**
+     * Move one step forward and pause there
+     */
+    stepForward() {
+        const wasIdle = this.state === 'idle';
+
+        this.ensureTimeline();
+        this.seek(wasIdle ? 0 : this.playhead.step + 1, 1);
+    }
+
+    /**
+     * Move one step back and pause there
+     */
+    stepBackward() {
+        this.ensureTimeline();
+        this.seek(this.playhead.step - 1, 1);
+    }
+
+    /**
+     * Jump to a step; progress 1 shows the step fully played
+     */
+    seek(stepIndex, progress = 1) {
+        this.ensureTimeline();
+        if (this.timeline.length === 0) return;
+
+        const step = Math.max(0, Math.min(this.timeline.length - 1, stepIndex));
+        this.playhead = { step, progress: Math.max(0, Math.min(1, progress)) };
+
+        // Leaving a choice step cancels the pending question
+        if (this.state === 'waiting' && this.pendingBranchChoice) {
+            this.pendingBranchChoice(-1);
+        }
+
+        if (this.state !== 'playing') {
+            this.cancelFrame();
+            this.setState('paused');
+        }
+
+        this.renderFrame();
+        this.emitUpdate();
+
+        if (this.timeline[step].choice && this.state === 'playing') {
+            this.waitForChoice();
+        }
+    }
+
+    /**
+     * Load the default timeline in a paused state when nothing is loaded yet
+     */
+    ensureTimeline() {
+        if (this.timeline.length > 0) return;
+
+        this.loadTimeline(this.getDefaultTimelineSource());
+        if (this.timeline.length > 0) {
+            this.setState('paused');
+        }
+    }
+
+    /**
+     * Stop current animation
+     */
+    stopAnimation() {
+        this.cancelFrame();
+        this.animationQueue = [];
+        this.timeline = [];
+        this.timelineSource = null;
+        this.playhead = { step: 0, progress: 0 };
+        this.renderedKey = null;
+
+        // Release a playback waiting for a branch choice
+        if (this.pendingBranchChoice) {
+            this.pendingBranchChoice(-1);
+        }
+
+        this.canvas.clearAllHighlights();
+        this.canvas.canvas.classList.remove('timeline-playing', 'sequence-playback');
+        this.setState('idle');
+        this.finishPlayback();
+    }
+
+    /**
+     * Re-apply the playhead after the canvas has been re-rendered
+     */
+    refresh() {
+        this.renderedKey = null;
+        if (this.state !== 'idle') {
+            this.renderFrame();
+        }
+    }
+
+    /**
+     * Resolve the promise returned by play()
+     */
+    finishPlayback() {
+        if (this.resolvePlayback) {
+            const resolve = this.resolvePlayback;
+            this.resolvePlayback = null;
+            this.playbackPromise = null;
+            resolve();
+        }
+    }
+
+    /**
+     * Change the state machine state and notify listeners
+     */
+    setState(state) {
+        if (this.state === state) return;
+
+        this.state = state;
+        this.emitUpdate();
+    }
+
+    /**
+     * Publish the playback position through a `timelineUpdate` canvas event
+     */
+    emitUpdate() {
+        this.canvas.canvas.dispatchEvent(new CustomEvent('timelineUpdate', {
+            detail: this.getPlaybackState()
+        }));
+    }
+
+    /**
+     * Current playback position
+     */
+    getPlaybackState() {
+        return {
+            state: this.state,
+            step: this.playhead.step,
+            progress: this.playhead.progress,
+            total: this.timeline.length,
+            timing: this.getTimingSummary()
+        };
+    }
+
+    /**
+     * Annotated latency of a step: the slowest of its messages (par messages run side by side),
+     * or null when none of them has one
+     */
+    getStepLatency(step) {
+        const latencies = (step ? step.connectionIds : [])
+            .filter(id => this.latencies.has(id))
+            .map(id => this.latencies.get(id));
+
+        return latencies.length > 0 ? Math.max(...latencies) : null;
+    }
+
+    /**
+     * End-to-end annotated time along the loaded path and how much of it the playhead has covered;
+     * null when no step on the path has a latency
+     */
+    getTimingSummary() {
+        const latencies = this.timeline.map(step => this.getStepLatency(step));
+        const timedSteps = latencies.filter(latency => latency !== null).length;
+        if (timedSteps === 0) return null;
+
+        const { sender, flow, receiver } = this.getStepTimings(this.playhead.step);
+        const flowProgress = (this.playhead.progress * (sender + flow + receiver) - sender) / flow;
+        const elapsed = latencies
+            .slice(0, this.playhead.step)
+            .reduce((sum, latency) => sum + (latency || 0), 0) +
+            (latencies[this.playhead.step] || 0) * Math.max(0, Math.min(1, flowProgress));
+
+        return {
+            total: latencies.reduce((sum, latency) => sum + (latency || 0), 0),
+            elapsed,
+            timedSteps,
+            totalSteps: this.timeline.length
+        };
+    }
+
+    /**
+     * Phase durations of a step in ms at 1x speed
+     */
+    getStepTimings(stepIndex = this.playhead.step) {
+        const latency = this.timingMode === 'proportional' ? this.getStepLatency(this.timeline[stepIndex]) : null;
+        if (latency === null) return this.stepTimings;
+
+        const { sender, receiver, minFlow } = this.proportionalTimings;
+        return { sender, flow: Math.max(minFlow, latency), receiver };
+    }
+
+    /**
+     * Duration of a step in ms at the current speed
+     */
+    getStepDuration(stepIndex = this.playhead.step) {
+        const { sender, flow, receiver } = this.getStepTimings(stepIndex);
+        return (sender + flow + receiver) / this.animationSpeed;
+    }
+
+    /**
+     * Queue the next animation frame
+     */
+    scheduleFrame() {
+        this.cancelFrame();
+        this.lastFrameTime = null;
+        this.frameRequest = requestAnimationFrame(time => this.tick(time));
+    }
+
+    /**
+     * Cancel a queued animation frame
+     */
+    cancelFrame() {
+        if (this.frameRequest !== null) {
+            cancelAnimationFrame(this.frameRequest);
+            this.frameRequest = null;
         }
     }
 
     /**
-     * Animate a single connection
+     * Advance the playhead by the time elapsed since the last frame
      */
-    async animateConnection(connectionId) {
-        return new Promise((resolve) => {
-            if (!this.isAnimating) {
-                resolve();
+    tick(time) {
+        this.frameRequest = null;
+        if (this.state !== 'playing') return;
+
+        const elapsed = this.lastFrameTime === null ? 0 : time - this.lastFrameTime;
+        this.lastFrameTime = time;
+        this.playhead.progress += elapsed / this.getStepDuration();
+
+        while (this.playhead.progress >= 1) {
+            if (this.playhead.step >= this.timeline.length - 1) {
+                this.playhead.progress = 1;
+                this.renderFrame();
+                this.setState('ended');
+                this.finishPlayback();
                 return;
             }
 
-            // Highlight the connection
-            this.canvas.highlightConnection(connectionId, 'active');
+            // Steps can differ in length, so carry the overshoot over in ms
+            const overshoot = (this.playhead.progress - 1) * this.getStepDuration();
+            this.playhead.step += 1;
+            this.playhead.progress = overshoot / this.getStepDuration();
+            this.emitUpdate();
 
-            // Create flowing effect
-            const connectionElement = this.canvas.connectionsGroup
-                .querySelector(`[data-id="${connectionId}"]`);
-            
-            if (connectionElement) {
-                const line = connectionElement.querySelector('.connection-line');
-                if (line) {
-                    // Add flowing animation
-                    this.createFlowingEffect(line);
-                }
+            if (this.timeline[this.playhead.step].choice) {
+                this.playhead.progress = 0;
+                this.renderFrame();
+                this.waitForChoice();
+                return;
             }
+        }
 
-            // Wait for animation duration
-            setTimeout(() => {
-                // Remove flowing effect but keep connection highlighted briefly
-                setTimeout(() => {
-                    if (this.isAnimating) {
-                        this.canvas.removeConnectionHighlight(connectionId, 'active');
-                    }
-                    resolve();
-                }, 100 / this.animationSpeed);
-            }, 600 / this.animationSpeed);
+        this.renderFrame();
+        this.frameRequest = requestAnimationFrame(next => this.tick(next));
+    }
+
+    /**
+     * Pause on a choice step until the user picks a branch, then recompile and continue
+     */
+    async waitForChoice() {
+        const { fragmentId, key } = this.timeline[this.playhead.step].choice;
+        const fragment = this.fragments.get(fragmentId);
+
+        this.cancelFrame();
+        this.setState('waiting');
+
+        const branchIndex = await this.requestBranchChoice(fragment);
+        if (this.state !== 'waiting') return;
+
+        this.resolvedBranches.set(key, branchIndex);
+        this.compileTimeline();
+        this.renderedKey = null;
+
+        if (this.playhead.step >= this.timeline.length) {
+            this.playhead = { step: Math.max(0, this.timeline.length - 1), progress: 1 };
+            this.renderFrame();
+            this.setState('ended');
+            this.finishPlayback();
+            return;
+        }
+
+        this.emitUpdate();
+        this.play();
+    }
+
+    /**
+     * Which part of a step a progress value falls into
+     */
+    getStepPhase(progress, stepIndex = this.playhead.step) {
+        const { sender, flow, receiver } = this.getStepTimings(stepIndex);
+        const total = sender + flow + receiver;
+
+        if (progress < sender / total) return 'sender';
+        if (progress < (sender + flow) / total) return 'flow';
+        return 'receiver';
+    }
+
+    /**
+     * Render the playhead: highlight state of the step plus the flowing effect
+     */
+    renderFrame() {
+        const step = this.timeline[this.playhead.step];
+        if (!step) return;
+
+        const phase = this.getStepPhase(this.playhead.progress);
+        const key = `${this.playhead.step}:${phase}`;
+
+        if (key !== this.renderedKey) {
+            this.applyStepHighlights(this.playhead.step, phase);
+            this.renderedKey = key;
+        }
+
+        this.renderActivations(phase);
+
+        if (phase === 'flow') {
+            const { sender, flow, receiver } = this.getStepTimings(this.playhead.step);
+            const total = sender + flow + receiver;
+            const flowProgress = (this.playhead.progress * total - sender) / flow;
+
+            step.connectionIds.forEach(id => this.applyFlowEffect(id, flowProgress));
+        }
+    }
+
+    /**
+     * Grow open activation bars down to the playhead; hide ones not reached yet
+     */
+    renderActivations(phase) {
+        if (this.activations.length === 0 || this.timelineSource.type !== 'sequence' || !this.canvas.isSequenceView()) {
+            return;
+        }
+
+        const open = new Set();
+        const closed = new Set();
+        const apply = ({ id }) => {
+            const command = this.connections.find(conn => conn.id === id);
+            if (!command || !command.activationId) return;
+
+            if (command.command === 'activate') {
+                open.add(command.activationId);
+                closed.delete(command.activationId);
+            } else {
+                open.delete(command.activationId);
+                closed.add(command.activationId);
+            }
+        };
+
+        for (let i = 0; i < this.playhead.step; i++) {
+            this.timeline[i].commands.forEach(apply);
+        }
+        this.timeline[this.playhead.step].commands
+            .filter(command => command.atStart || phase === 'receiver')
+            .forEach(apply);
+
+        const playheadRow = this.getPlayheadRow();
+        this.activations.forEach(activation => {
+            if (closed.has(activation.id)) {
+                this.canvas.setActivationExtent(activation.id, activation.endRow);
+            } else if (open.has(activation.id)) {
+                const row = Math.min(Math.max(playheadRow, activation.startRow), activation.endRow);
+                this.canvas.setActivationExtent(activation.id, row);
+            } else {
+                this.canvas.setActivationExtent(activation.id, null);
+            }
         });
     }
 
     /**
-     * Create enhanced flowing effect on connection line
+     * Message row of a step (the last row of a parallel step), falling back to earlier steps
+     */
+    getStepRow(stepIndex) {
+        for (let i = stepIndex; i >= 0; i--) {
+            const rows = this.timeline[i].connectionIds
+                .map(id => this.connections.find(conn => conn.id === id))
+                .filter(conn => conn && typeof conn.row === 'number')
+                .map(conn => conn.row);
+            if (rows.length > 0) return Math.max(...rows);
+        }
+        return 0;
+    }
+
+    /**
+     * Fractional row the playhead has reached, moving down from the previous step's row
+     */
+    getPlayheadRow() {
+        const current = this.getStepRow(this.playhead.step);
+        if (this.playhead.step === 0) return current;
+
+        const previous = this.getStepRow(this.playhead.step - 1);
+        if (current < previous) return current;
+
+        return previous + (current - previous) * this.playhead.progress;
+    }
+
+    /**
+     * Restore the highlight state for a step from scratch
      */
-    createFlowingEffect(line) {
+    applyStepHighlights(stepIndex, phase) {
+        const step = this.timeline[stepIndex];
+
+        this.canvas.clearAllHighlights();
+        this.canvas.canvas.classList.add('timeline-playing');
+        this.canvas.canvas.classList.toggle('sequence-playback', this.timelineSource.type === 'sequence');
+
+        // Notes stay visible once playback has reached them
+        for (let i = 0; i <= stepIndex; i++) {
+            this.timeline[i].noteIds.forEach(id => this.canvas.showNote(id));
+        }
+
+        // Trail of everything already played
+        for (let i = 0; i < stepIndex; i++) {
+            this.timeline[i].connectionIds.forEach(id => {
+                const connection = this.connections.find(conn => conn.id === id);
+                this.canvas.highlightConnection(id, 'visited');
+                if (connection) {
+                    this.canvas.highlightObject(connection.from, 'visited');
+                    this.canvas.highlightObject(connection.to, 'visited');
+                }
+            });
+        }
+
+        step.fragmentIds.forEach(id => this.canvas.highlightFragment(id));
+
+        step.connectionIds.forEach(id => {
+            const connection = this.connections.find(conn => conn.id === id);
+            if (!connection) return;
+
+            this.canvas.highlightObject(connection.from, 'highlighted');
+            if (phase !== 'sender') {
+                this.canvas.highlightConnection(id, 'active');
+            }
+            if (phase === 'receiver') {
+                this.canvas.highlightObject(connection.to, 'highlighted');
+            }
+        });
+    }
+
+    /**
+     * Draw the flowing effect of a connection at a given progress (0..1)
+     */
+    applyFlowEffect(connectionId, progress) {
+        const connectionElement = this.canvas.connectionsGroup
+            .querySelector(`[data-id="${connectionId}"]`);
+        const line = connectionElement && connectionElement.querySelector('.connection-line');
+        if (!line) return;
+
+        if (this.tokenStyle !== 'none') {
+            // Ease in and out so the token leaves and arrives gently
+            const eased = progress < 0.5 ? 4 * progress ** 3 : 1 - Math.pow(-2 * progress + 2, 3) / 2;
+            const connection = this.connections.find(conn => conn.id === connectionId);
+            this.canvas.showToken(connectionId, eased, this.tokenStyle, this.getTokenPayload(connection));
+            return;
+        }
+
         // Calculate line length for dash animation
-        const x1 = parseFloat(line.getAttribute('x1'));
-        const y1 = parseFloat(line.getAttribute('y1'));
-        const x2 = parseFloat(line.getAttribute('x2'));
-        const y2 = parseFloat(line.getAttribute('y2'));
-        const length = Math.sqrt(Math.pow(x2 - x1, 2) + Math.pow(y2 - y1, 2));
-
-        // Store original styles
-        const originalStyles = {
-            strokeDasharray: line.style.strokeDasharray || 'none',
-            strokeDashoffset: line.style.strokeDashoffset || '0',
-            transition: line.style.transition || '',
-            strokeWidth: line.style.strokeWidth || line.getAttribute('stroke-width') || '2'
-        };
+        const length = this.canvas.getConnectionLength(line);
 
         // Enhanced flowing effect based on connection type
-        const connectionType = this.getConnectionType(line);
-        const animationDuration = 0.8 / this.animationSpeed;
-        
-        switch (connectionType) {
+        switch (this.getConnectionType(line)) {
             case 'dotted':
-                this.createDottedFlowEffect(line, length, animationDuration, originalStyles);
+                this.applyDottedFlowEffect(line, length, progress);
                 break;
             case 'dashed':
-                this.createDashedFlowEffect(line, length, animationDuration, originalStyles);
+                this.applyDashedFlowEffect(line, length, progress);
                 break;
             case 'double':
-                this.createDoubleLineEffect(line, length, animationDuration, originalStyles);
+                this.applyDoubleLineEffect(line, length, progress);
                 break;
             default:
-                this.createSolidFlowEffect(line, length, animationDuration, originalStyles);
+                this.applySolidFlowEffect(line, length, progress);
         }
     }
 
     /**
-     * Create solid line flowing effect
+     * Solid line flowing effect: a glowing dash runs along the line (ease-out)
      */
-    createSolidFlowEffect(line, length, duration, originalStyles) {
+    applySolidFlowEffect(line, length, progress) {
         const dashLength = Math.max(length * 0.15, 20);
-        
+        const eased = 1 - Math.pow(1 - progress, 2);
+
         line.style.strokeDasharray = `${dashLength}, ${length}`;
-        line.style.strokeDashoffset = length + dashLength;
-        line.style.transition = `stroke-dashoffset ${duration}s ease-out`;
-        
+        line.style.strokeDashoffset = (length + dashLength) * (1 - eased);
+
         // Add glow effect
         line.style.filter = 'drop-shadow(0 0 3px currentColor)';
-        
-        setTimeout(() => {
-            line.style.strokeDashoffset = '0';
-        }, 10);
-
-        this.resetStylesAfterDelay(line, originalStyles, duration * 1000 + 100);
     }
 
     /**
-     * Create dotted line flowing effect
+     * Dotted line flowing effect: round dots march along the line
      */
-    createDottedFlowEffect(line, length, duration, originalStyles) {
+    applyDottedFlowEffect(line, length, progress) {
         const dotSize = 3;
         const spacing = 6;
-        
+
         line.style.strokeDasharray = `${dotSize}, ${spacing}`;
         line.style.strokeLinecap = 'round';
-        line.style.strokeDashoffset = length;
-        line.style.transition = `stroke-dashoffset ${duration}s linear`;
-        
-        setTimeout(() => {
-            line.style.strokeDashoffset = `-${length}`;
-        }, 10);
-
-        this.resetStylesAfterDelay(line, originalStyles, duration * 1000 + 100);
+        line.style.strokeDashoffset = length - 2 * length * progress;
     }
 
     /**
-     * Create dashed line flowing effect
+     * Dashed line flowing effect: dashes march along the line
      */
-    createDashedFlowEffect(line, length, duration, originalStyles) {
+    applyDashedFlowEffect(line, length, progress) {
         const dashSize = 8;
         const gapSize = 6;
-        
-        line.style.strokeDasharray = `${dashSize}, ${gapSize}`;
-        line.style.strokeDashoffset = length;
-        line.style.transition = `stroke-dashoffset ${duration}s linear`;
-        
-        setTimeout(() => {
-            line.style.strokeDashoffset = `-${length}`;
-        }, 10);
 
-        this.resetStylesAfterDelay(line, originalStyles, duration * 1000 + 100);
+        line.style.strokeDasharray = `${dashSize}, ${gapSize}`;
+        line.style.strokeDashoffset = length - 2 * length * progress;
     }
 
     /**
-     * Create double line effect
+     * Double line effect: a thick segment runs along the line
      */
-    createDoubleLineEffect(line, length, duration, originalStyles) {
-        const originalWidth = parseFloat(originalStyles.strokeWidth);
-        
-        // Animate thickness change
-        line.style.strokeWidth = `${originalWidth * 2}`;
-        line.style.transition = `stroke-width ${duration * 0.3}s ease-out, stroke-dashoffset ${duration}s linear`;
+    applyDoubleLineEffect(line, length, progress) {
+        const connection = this.connections.find(conn => conn.id === line.parentElement.getAttribute('data-id'));
+        const baseWidth = connection && connection.style ? parseFloat(connection.style.strokeWidth) || 3 : 3;
+
+        line.style.strokeWidth = `${baseWidth * 2}`;
         line.style.strokeDasharray = `${length * 0.2}, ${length}`;
-        line.style.strokeDashoffset = length;
-        
-        setTimeout(() => {
-            line.style.strokeDashoffset = '0';
-        }, 10);
+        line.style.strokeDashoffset = length * (1 - progress);
+    }
 
-        this.resetStylesAfterDelay(line, originalStyles, duration * 1000 + 100);
+    /**
+     * Text a token carries: the message label (first line, shortened) for pills, or when payloads are shown
+     */
+    getTokenPayload(connection) {
+        if (!connection || !connection.label || (this.tokenStyle !== 'pill' && !this.showTokenPayload)) {
+            return null;
+        }
+
+        const text = connection.label.split('\\n')[0].trim();
+        return text.length > 24 ? `${text.slice(0, 23)}…` : text;
     }
 
     /**
@@ -275,89 +1191,43 @@ class AnimationSystem {
     }
 
     /**
-     * Reset line styles after animation
+     * Briefly run the flow effect along some connections (used to point out edits);
+     * skipped while a timeline is loaded so playback highlights are never disturbed
      */
-    resetStylesAfterDelay(line, originalStyles, delay) {
-        setTimeout(() => {
-            Object.entries(originalStyles).forEach(([key, value]) => {
-                if (value === 'none' || value === '') {
-                    line.style[key] = '';
-                } else {
-                    line.style.setProperty(key, value, 'important');
-                }
+    flashConnections(connectionIds, duration = 1200) {
+        this.cancelFlash();
+        if (connectionIds.length === 0 || this.state !== 'idle') return;
+
+        let start = null;
+        const frame = (time) => {
+            if (start === null) start = time;
+            const progress = Math.min(1, (time - start) / duration);
+
+            connectionIds.forEach(id => {
+                this.canvas.highlightConnection(id, 'active');
+                this.applyFlowEffect(id, progress);
             });
-            line.style.filter = '';
-            
-            // Ensure connection maintains its base styling
-            if (!line.style.stroke || line.style.stroke === '') {
-                line.style.setProperty('stroke', '#415E72', 'important');
-            }
-            if (!line.style.strokeWidth || line.style.strokeWidth === '') {
-                line.style.setProperty('stroke-width', '2', 'important');
+
+            if (progress < 1) {
+                this.flashFrame = requestAnimationFrame(frame);
+            } else {
+                this.flashFrame = null;
+                this.canvas.clearAllHighlights();
             }
-        }, delay);
-    }
+        };
 
-    /**
-     * Stop current animation
-     */
-    stopAnimation() {
-        this.isAnimating = false;
-        this.animationQueue = [];
-        this.canvas.clearAllHighlights();
-        
-        // Clear any ongoing CSS transitions
-        const allLines = this.canvas.connectionsGroup
-            .querySelectorAll('.connection-line');
-        allLines.forEach(line => {
-            line.style.transition = '';
-            line.style.strokeDasharray = '';
-            line.style.strokeDashoffset = '';
-        });
+        this.flashFrame = requestAnimationFrame(frame);
     }
 
     /**
-     * Animate all flows sequentially
+     * Stop a running flashConnections() effect
      */
-    async animateAllFlows() {
-        if (this.isAnimating) {
-            this.stopAnimation();
+    cancelFlash() {
+        if (this.flashFrame) {
+            cancelAnimationFrame(this.flashFrame);
+            this.flashFrame = null;
+            this.canvas.clearAllHighlights();
         }
-
-        this.isAnimating = true;
-        this.canvas.clearAllHighlights();
-
-        // Find all starting points (objects with no incoming connections)
-        const allObjectIds = new Set();
-        const objectsWithIncoming = new Set();
-
-        this.connections.forEach(conn => {
-            allObjectIds.add(conn.from);
-            allObjectIds.add(conn.to);
-            objectsWithIncoming.add(conn.to);
-        });
-
-        const startingPoints = Array.from(allObjectIds)
-            .filter(id => !objectsWithIncoming.has(id));
-
-        // If no clear starting points, use the first object
-        if (startingPoints.length === 0 && allObjectIds.size > 0) {
-            startingPoints.push(Array.from(allObjectIds)[0]);
-        }
-
-        // Animate from each starting point
-        for (const startId of startingPoints) {
-            if (!this.isAnimating) break;
-            
-            await this.animateFlow(startId);
-            
-            if (startingPoints.length > 1) {
-                await this.delay(1000 / this.animationSpeed);
-                this.canvas.clearAllHighlights();
-            }
-        }
-
-        this.isAnimating = false;
     }
 
     /**
@@ -497,8 +1367,12 @@ class AnimationSystem {
     getStats() {
         return {
             isAnimating: this.isAnimating,
+            state: this.state,
+            step: this.playhead.step,
+            totalSteps: this.timeline.length,
             speed: this.animationSpeed,
             queueLength: this.animationQueue.length,
+            playbackMode: this.getPlaybackMode(),
             connectionCount: this.connections.length,
             nodeCount: this.flowGraph.size
         };
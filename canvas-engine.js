@@ -6,15 +6,78 @@ class CanvasEngine {
         this.canvas = document.getElementById(canvasId);
         this.objectsGroup = this.canvas.querySelector('#objects');
         this.connectionsGroup = this.canvas.querySelector('#connections');
+        this.fragmentsGroup = this.canvas.querySelector('#fragments');
+        this.lifelinesGroup = this.canvas.querySelector('#lifelines');
+        this.notesGroup = this.canvas.querySelector('#notes');
+        this.activationsGroup = this.canvas.querySelector('#activations');
+        this.guidesGroup = this.canvas.querySelector('#guides');
+        this.tokensGroup = this.canvas.querySelector('#tokens');
+        this.gridLayer = this.canvas.querySelector('#grid-layer');
+        this.gridPattern = this.canvas.querySelector('#grid-pattern');
         
         this.objects = new Map();
         this.connections = [];
+        this.fragments = [];
+        this.notes = [];
+        this.activations = [];
+        this.layout = { mode: 'free' };
         this.selectedObject = null;
+        this.selectedIds = new Set();
         this.isDragging = false;
-        this.dragOffset = { x: 0, y: 0 };
+
+        // Zoom and pan: the viewport group is translated by (x, y) and scaled around the origin
+        this.viewport = this.canvas.querySelector('#viewport');
+        this.view = { x: 0, y: 0, scale: 1 };
+        this.minScale = 0.1;
+        this.maxScale = 5;
+        this.spacePressed = false;
+        this.spacePanned = false;
+
+        // Pointer interaction: one of 'object' | 'marquee' | 'pan' | 'pinch' while a pointer is down
+        this.activePointers = new Map();
+        this.interaction = null;
+        this.tapThreshold = 5;
+        this.longPressDelay = 500;
+        this.longPressTimer = null;
+        this.suppressClick = false;
+        this.connectionFrame = null;
+        this.objectAnimation = null;
+
+        // Free view messages between the same two objects fan out as curves this far apart
+        this.connectionBundles = new Map();
+        this.bundleSpacing = 28;
+
+        // Connection style in the free view; routes are kept per connection until a box near them moves
+        this.router = new EdgeRouter();
+        this.routingStyle = 'straight';
+        this.routeCache = new Map();
+        this.routedBoxes = new Map();
+
+        // Message labels: wrapped at a maximum width, placed at the first free spot of these
+        // (fraction along the path, side of the line), remembered per connection
+        this.labelMaxWidth = 160;
+        this.labelLineHeight = 14;
+        this.labelCandidates = [0.5, 0.4, 0.6, 0.3, 0.7, 0.2, 0.8].flatMap(t => [{ t, side: 1 }, { t, side: -1 }]);
+        this.labelPlacements = new Map();
+        // Other connections count as obstacles through boxes around short pieces of their paths
+        this.labelPathStep = 12;
+
+        // Drag aids for the free view; guides snap within a few screen pixels, pushed boxes keep a margin
+        this.snapOptions = {
+            snapToGrid: false,
+            gridSize: 20,
+            showGrid: false,
+            smartGuides: true,
+            pushApart: false
+        };
+        this.guideThreshold = 6;
+        this.pushMargin = 10;
         
         this.setupEventListeners();
         this.canvasRect = { width: 800, height: 600 };
+        this.noteLineHeight = 16;
+        this.activationWidth = 10;
+        this.iconTypes = ['actor', 'boundary', 'control', 'entity'];
     }
 
     /**
@@ -25,14 +88,208 @@ class CanvasEngine {
         this.canvas.setAttribute('viewBox', `0 0 ${width} ${height}`);
     }
 
+    /**
+     * Apply a view transform (clamped zoom) and notify listeners
+     */
+    setView({ x, y, scale }) {
+        this.view = { x, y, scale: Math.max(this.minScale, Math.min(this.maxScale, scale)) };
+        this.viewport.setAttribute('transform', `translate(${this.view.x}, ${this.view.y}) scale(${this.view.scale})`);
+
+        this.canvas.dispatchEvent(new CustomEvent('viewChanged', {
+            detail: { ...this.view }
+        }));
+    }
+
+    /**
+     * Convert a mouse position to diagram coordinates through the viewBox and the view transform
+     */
+    clientToCanvas(clientX, clientY) {
+        const point = this.canvas.createSVGPoint();
+        point.x = clientX;
+        point.y = clientY;
+        return point.matrixTransform(this.viewport.getScreenCTM().inverse());
+    }
+
+    /**
+     * Convert a mouse position to SVG root (viewBox) coordinates, before the view transform
+     */
+    clientToRoot(clientX, clientY) {
+        const point = this.canvas.createSVGPoint();
+        point.x = clientX;
+        point.y = clientY;
+        return point.matrixTransform(this.canvas.getScreenCTM().inverse());
+    }
+
+    /**
+     * Screen pixels per viewBox unit
+     */
+    getClientUnit() {
+        const matrix = this.canvas.getScreenCTM();
+        return matrix && matrix.a ? matrix.a : 1;
+    }
+
+    /**
+     * Zoom to a scale keeping the diagram point under the mouse in place
+     * (the middle of the canvas when no position is given)
+     */
+    zoomAt(scale, clientX = null, clientY = null) {
+        const anchor = clientX === null
+            ? { x: this.canvasRect.width / 2, y: this.canvasRect.height / 2 }
+            : this.clientToRoot(clientX, clientY);
+        const target = Math.max(this.minScale, Math.min(this.maxScale, scale));
+
+        // Diagram point currently under the anchor
+        const worldX = (anchor.x - this.view.x) / this.view.scale;
+        const worldY = (anchor.y - this.view.y) / this.view.scale;
+
+        this.setView({
+            x: anchor.x - worldX * target,
+            y: anchor.y - worldY * target,
+            scale: target
+        });
+    }
+
+    /**
+     * Step the zoom in (> 1) or out (< 1) around the middle of the canvas
+     */
+    zoomBy(factor) {
+        this.zoomAt(this.view.scale * factor);
+    }
+
+    /**
+     * Back to 100% with the diagram origin at the top-left
+     */
+    resetView() {
+        this.setView({ x: 0, y: 0, scale: 1 });
+    }
+
+    /**
+     * Scale and center the view so a diagram rectangle fills the canvas
+     */
+    fitToBounds(bounds, padding = 20) {
+        if (!bounds || bounds.width <= 0 || bounds.height <= 0) return;
+
+        const scale = Math.min(
+            (this.canvasRect.width - padding * 2) / bounds.width,
+            (this.canvasRect.height - padding * 2) / bounds.height
+        );
+        const clamped = Math.max(this.minScale, Math.min(this.maxScale, scale));
+
+        this.setView({
+            x: this.canvasRect.width / 2 - (bounds.x + bounds.width / 2) * clamped,
+            y: this.canvasRect.height / 2 - (bounds.y + bounds.height / 2) * clamped,
+            scale: clamped
+        });
+    }
+
+    /**
+     * Fit every object, note and lifeline into view
+     */
+    fitDiagram() {
+        this.fitToBounds(this.getContentBounds());
+    }
+
+    /**
+     * Fit the selected objects into view; false when nothing is selected
+     */
+    zoomToSelection() {
+        const bounds = this.getObjectBounds(this.getSelectedObjects());
+        if (!bounds) return false;
+
+        // Do not blow a single small box up to the maximum zoom
+        const scale = Math.min(2, (this.canvasRect.width - 40) / bounds.width, (this.canvasRect.height - 40) / bounds.height);
+        this.setView({
+            x: this.canvasRect.width / 2 - (bounds.x + bounds.width / 2) * scale,
+            y: this.canvasRect.height / 2 - (bounds.y + bounds.height / 2) * scale,
+            scale
+        });
+        return true;
+    }
+
+    /**
+     * Bounding box of some objects, or null for none
+     */
+    getObjectBounds(objects) {
+        if (objects.length === 0) return null;
+
+        const left = Math.min(...objects.map(obj => obj.x));
+        const top = Math.min(...objects.map(obj => obj.y));
+        const right = Math.max(...objects.map(obj => obj.x + obj.width));
+        const bottom = Math.max(...objects.map(obj => obj.y + obj.height));
+
+        return { x: left, y: top, width: right - left, height: bottom - top };
+    }
+
+    /**
+     * Diagram extent: objects and notes, plus the lifelines in the sequence layout
+     */
+    getContentBounds() {
+        const boxes = Array.from(this.objects.values());
+        this.notes.forEach(note => {
+            const bounds = this.calculateNoteBounds(note);
+            if (bounds) boxes.push(bounds);
+        });
+
+        const bounds = this.getObjectBounds(boxes);
+        if (!bounds) return null;
+
+        if (this.isSequenceView()) {
+            const bottom = Math.max(bounds.y + bounds.height, this.layout.lifelineBottom);
+            bounds.height = bottom - bounds.y;
+        }
+
+        return bounds;
+    }
+
+    /**
+     * Area an export has to cover: the canvas page grown to include anything dragged outside it
+     */
+    getExportBounds() {
+        const content = this.getContentBounds();
+        const margin = 20;
+        let left = 0;
+        let top = 0;
+        let right = this.canvasRect.width;
+        let bottom = this.canvasRect.height;
+
+        if (content) {
+            left = Math.min(left, content.x - margin);
+            top = Math.min(top, content.y - margin);
+            right = Math.max(right, content.x + content.width + margin);
+            bottom = Math.max(bottom, content.y + content.height + margin);
+        }
+
+        return { x: left, y: top, width: right - left, height: bottom - top };
+    }
+
+    /**
+     * Whether keyboard input goes to a text control rather than the canvas
+     */
+    isEditableTarget(target) {
+        return !!target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+    }
+
     /**
      * Clear all elements from canvas
      */
     clear() {
+        this.finishObjectAnimation();
         this.objectsGroup.innerHTML = '';
         this.connectionsGroup.innerHTML = '';
+        this.fragmentsGroup.innerHTML = '';
+        this.lifelinesGroup.innerHTML = '';
+        this.notesGroup.innerHTML = '';
+        this.activationsGroup.innerHTML = '';
+        this.clearTokens();
         this.objects.clear();
         this.connections = [];
+        this.fragments = [];
+        this.notes = [];
+        this.activations = [];
+        this.connectionBundles.clear();
+        this.routeCache.clear();
+        this.routedBoxes.clear();
+        this.labelPlacements.clear();
         this.selectedObject = null;
     }
 
@@ -47,12 +304,161 @@ class CanvasEngine {
             this.objects.set(obj.id, obj);
         });
         this.connections = diagramData.connections;
+        this.fragments = diagramData.fragments || [];
+        this.notes = diagramData.notes || [];
+        this.activations = diagramData.activations || [];
+        this.layout = diagramData.layout || { mode: 'free' };
+        this.canvas.classList.toggle('sequence-view', this.isSequenceView());
+
+        // Render fragment frames behind everything else
+        this.renderFragments();
+
+        // Lifelines sit between the frames and the message arrows
+        if (this.isSequenceView()) {
+            this.renderLifelines();
+            this.renderActivations();
+        }
 
         // Render connections first (behind objects)
         this.renderConnections();
+
+        // Notes float above the arrows they annotate
+        this.renderNotes();
         
         // Render objects
         this.renderObjects();
+
+        // The selection survives re-renders for objects that still exist
+        this.setSelection(this.getSelectedIds());
+    }
+
+    /**
+     * Whether the diagram uses the lifeline layout with one row per message
+     */
+    isSequenceView() {
+        return this.layout.mode === 'sequence';
+    }
+
+    /**
+     * Vertical position of a message row in the lifeline layout
+     */
+    getRowY(row) {
+        return this.layout.firstRowY + row * this.layout.rowHeight;
+    }
+
+    /**
+     * Render a dashed lifeline below every participant
+     */
+    renderLifelines() {
+        this.objects.forEach(obj => {
+            const lifeline = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+            lifeline.classList.add('lifeline');
+            lifeline.setAttribute('data-id', obj.id);
+            this.positionLifeline(lifeline, obj);
+            this.lifelinesGroup.appendChild(lifeline);
+        });
+    }
+
+    /**
+     * Place a lifeline under the center of its participant
+     */
+    positionLifeline(lifeline, obj) {
+        const centerX = obj.x + obj.width / 2;
+        lifeline.setAttribute('x1', centerX);
+        lifeline.setAttribute('y1', obj.y + obj.height);
+        lifeline.setAttribute('x2', centerX);
+        lifeline.setAttribute('y2', this.layout.lifelineBottom);
+    }
+
+    /**
+     * Update lifelines when participants move
+     */
+    updateLifelines() {
+        this.lifelinesGroup.querySelectorAll('.lifeline').forEach(lifeline => {
+            const obj = this.objects.get(lifeline.getAttribute('data-id'));
+            if (obj) {
+                this.positionLifeline(lifeline, obj);
+            }
+        });
+    }
+
+    /**
+     * Render activation bars on top of the lifelines
+     */
+    renderActivations() {
+        // Outer bars first so nested ones are drawn over them
+        [...this.activations]
+            .sort((a, b) => a.depth - b.depth)
+            .forEach(activation => {
+                const bar = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+                bar.classList.add('activation');
+                bar.setAttribute('data-id', activation.id);
+                bar.setAttribute('data-participant', activation.participant);
+                this.activationsGroup.appendChild(bar);
+                this.positionActivation(bar, activation);
+            });
+    }
+
+    /**
+     * Place an activation bar from its start row down to `bottomRow`
+     */
+    positionActivation(bar, activation, bottomRow = activation.endRow) {
+        const obj = this.objects.get(activation.participant);
+        if (!obj) return;
+
+        const { left, right } = this.getActivationEdges(obj, activation.depth);
+        const top = this.getRowY(activation.startRow);
+        const bottom = Math.max(this.getRowY(bottomRow), top + 8);
+
+        bar.setAttribute('x', left);
+        bar.setAttribute('y', top);
+        bar.setAttribute('width', right - left);
+        bar.setAttribute('height', bottom - top);
+    }
+
+    /**
+     * Horizontal extent of an activation bar; nested bars shift right
+     */
+    getActivationEdges(obj, depth) {
+        const left = obj.x + obj.width / 2 - this.activationWidth / 2 + depth * this.activationWidth / 2;
+        return { left, right: left + this.activationWidth };
+    }
+
+    /**
+     * Show a bar down to a (fractional) row during playback, or hide it with null
+     */
+    setActivationExtent(activationId, bottomRow) {
+        const bar = this.activationsGroup.querySelector(`[data-id="${activationId}"]`);
+        const activation = this.activations.find(a => a.id === activationId);
+        if (!bar || !activation) return;
+
+        bar.classList.toggle('started', bottomRow !== null);
+        if (bottomRow !== null) {
+            this.positionActivation(bar, activation, bottomRow);
+        }
+    }
+
+    /**
+     * Restore every activation bar to its full length
+     */
+    updateActivations() {
+        this.activationsGroup.querySelectorAll('.activation').forEach(bar => {
+            const activation = this.activations.find(a => a.id === bar.getAttribute('data-id'));
+            if (activation) {
+                this.positionActivation(bar, activation);
+            }
+        });
+    }
+
+    /**
+     * Edges of the innermost activation bar of a participant at a message row
+     */
+    getActiveBarEdges(obj, row) {
+        const active = this.activations.filter(activation =>
+            activation.participant === obj.id && activation.startRow <= row && activation.endRow >= row);
+        if (active.length === 0) return null;
+
+        return this.getActivationEdges(obj, Math.max(...active.map(activation => activation.depth)));
     }
 
     /**
@@ -74,35 +480,114 @@ class CanvasEngine {
         group.setAttribute('data-id', obj.id);
         group.setAttribute('transform', `translate(${obj.x}, ${obj.y})`);
 
-        // Create rectangle
-        const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-        rect.classList.add('object-rect');
-        rect.setAttribute('width', obj.width);
-        rect.setAttribute('height', obj.height);
-        rect.setAttribute('x', 0);
-        rect.setAttribute('y', 0);
+        // Transparent hit area keeps the whole box draggable around thin glyphs
+        const hitArea = this.createShapeElement('rect', { x: 0, y: 0, width: obj.width, height: obj.height });
+        hitArea.classList.add('object-hit');
+        group.appendChild(hitArea);
 
-        // Apply type-specific styling
-        this.applyObjectTypeStyle(rect, obj.type);
+        // Create the type glyph and apply type-specific styling
+        this.createObjectShapes(obj).forEach(shape => {
+            shape.classList.add('object-shape');
+            this.applyObjectTypeStyle(shape, obj.type);
+            group.appendChild(shape);
+        });
 
         // Create text
         const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
         text.classList.add('object-text');
         text.setAttribute('x', obj.width / 2);
-        text.setAttribute('y', obj.height / 2);
+        text.setAttribute('y', this.iconTypes.includes(obj.type) ? obj.height - 9 : obj.height / 2);
         text.textContent = obj.name;
 
-        // Add elements to group
-        group.appendChild(rect);
         group.appendChild(text);
 
         return group;
     }
 
     /**
-     * Apply type-specific styling to objects
+     * Create an SVG element with attributes
      */
-    applyObjectTypeStyle(rect, type) {
+    createShapeElement(tag, attributes) {
+        const element = document.createElementNS('http://www.w3.org/2000/svg', tag);
+        Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+        return element;
+    }
+
+    /**
+     * Build the PlantUML glyph of a participant type inside its width x height box
+     */
+    createObjectShapes(obj) {
+        const { width: w, height: h } = obj;
+        const cx = w / 2;
+
+        switch (obj.type) {
+            case 'actor':
+                // Stick figure; the name sits underneath
+                return [
+                    this.createShapeElement('circle', { cx, cy: 8, r: 7 }),
+                    this.createShapeElement('path', {
+                        d: `M ${cx} 15 V 29 M ${cx - 11} 20 H ${cx + 11} M ${cx - 9} 39 L ${cx} 29 L ${cx + 9} 39`,
+                        class: 'object-line'
+                    })
+                ];
+            case 'boundary':
+                // Circle attached to a vertical bar
+                return [
+                    this.createShapeElement('path', { d: `M ${cx - 20} 6 V 34 M ${cx - 20} 20 H ${cx - 8}`, class: 'object-line' }),
+                    this.createShapeElement('circle', { cx: cx + 6, cy: 20, r: 14 })
+                ];
+            case 'control':
+                // Circle with an arrowhead on top
+                return [
+                    this.createShapeElement('circle', { cx, cy: 20, r: 14 }),
+                    this.createShapeElement('path', { d: `M ${cx + 4} 1 L ${cx - 3} 6 L ${cx + 4} 11`, class: 'object-line' })
+                ];
+            case 'entity':
+                // Circle resting on a line
+                return [
+                    this.createShapeElement('circle', { cx, cy: 18, r: 14 }),
+                    this.createShapeElement('path', { d: `M ${cx - 14} 35 H ${cx + 14}`, class: 'object-line' })
+                ];
+            case 'database': {
+                // Upright cylinder
+                const e = 8;
+                return [
+                    this.createShapeElement('path', {
+                        d: `M 0 ${e} A ${cx} ${e} 0 0 1 ${w} ${e} V ${h - e} A ${cx} ${e} 0 0 1 0 ${h - e} Z`
+                    }),
+                    this.createShapeElement('path', { d: `M 0 ${e} A ${cx} ${e} 0 0 0 ${w} ${e}`, class: 'object-line' })
+                ];
+            }
+            case 'queue': {
+                // Cylinder lying on its side
+                const e = 8;
+                const cy = h / 2;
+                return [
+                    this.createShapeElement('path', {
+                        d: `M ${e} 0 H ${w - e} A ${e} ${cy} 0 0 1 ${w - e} ${h} H ${e} A ${e} ${cy} 0 0 1 ${e} 0 Z`
+                    }),
+                    this.createShapeElement('path', { d: `M ${w - e} 0 A ${e} ${cy} 0 0 0 ${w - e} ${h}`, class: 'object-line' })
+                ];
+            }
+            case 'collections':
+                // Two stacked boxes
+                return [
+                    this.createShapeElement('rect', { x: 6, y: 0, width: w - 6, height: h - 6 }),
+                    this.createShapeElement('rect', { x: 0, y: 6, width: w - 6, height: h - 6 })
+                ];
+            default: {
+                const rect = this.createShapeElement('rect', { x: 0, y: 0, width: w, height: h });
+                rect.classList.add('object-rect');
+                return [rect];
+            }
+        }
+    }
+
+    /**
+     * Apply type-specific styling to a glyph part; line-only parts (`.object-line`) stay unfilled
+     * and only rects take the corner radius
+     */
+    applyObjectTypeStyle(shape, type) {
         const styles = {
             'actor': {
                 fill: 'rgba(243, 226, 212, 0.3)',
@@ -144,8 +629,7 @@ class CanvasEngine {
                 fill: 'rgba(65, 94, 114, 0.1)',
                 stroke: '#415E72',
                 strokeWidth: '2',
-                rx: '12',
-                strokeDasharray: '5,3'
+                rx: '4'
             },
             'queue': {
                 fill: 'rgba(243, 226, 212, 0.5)',
@@ -155,27 +639,49 @@ class CanvasEngine {
             }
         };
 
-        const style = styles[type] || styles['participant'];
-        
+        const style = { ...(styles[type] || styles['participant']) };
+        if (shape.classList.contains('object-line')) {
+            style.fill = 'none';
+        }
+        if (shape.tagName.toLowerCase() !== 'rect') {
+            delete style.rx;
+        }
+
         Object.entries(style).forEach(([key, value]) => {
             if (key === 'strokeDasharray') {
-                rect.style[key] = value;
+                shape.style[key] = value;
             } else {
-                rect.setAttribute(key.replace(/([A-Z])/g, '-$1').toLowerCase(), value);
+                shape.setAttribute(key.replace(/([A-Z])/g, '-$1').toLowerCase(), value);
             }
         });
     }
 
+    /**
+     * Drop inline highlight overrides and re-apply the type style to every glyph part
+     */
+    resetObjectStyle(objectElement, type) {
+        objectElement.querySelectorAll('.object-shape').forEach(shape => {
+            shape.style.removeProperty('stroke');
+            shape.style.removeProperty('fill');
+            shape.style.removeProperty('stroke-width');
+            this.applyObjectTypeStyle(shape, type);
+        });
+    }
+
     /**
      * Render all connections
      */
     renderConnections() {
+        this.connectionBundles = this.isSequenceView() ? new Map() : this.findConnectionBundles(this.connections);
+        this.invalidateRoutes();
+
         this.connections.forEach(conn => {
             const connectionGroup = this.createConnectionElement(conn);
             if (connectionGroup) {
                 this.connectionsGroup.appendChild(connectionGroup);
             }
         });
+        this.placeLabels();
     }
 
     /**
@@ -193,16 +699,9 @@ class CanvasEngine {
         group.setAttribute('data-from', conn.from);
         group.setAttribute('data-to', conn.to);
 
-        // Calculate connection points
-        const { x1, y1, x2, y2 } = this.calculateConnectionPoints(fromObj, toObj);
-
-        // Create line
-        const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+        // Every connection is a path: straight, curved, routed or a self-message loop
+        const line = document.createElementNS('http://www.w3.org/2000/svg', 'path');
         line.classList.add('connection-line');
-        line.setAttribute('x1', x1);
-        line.setAttribute('y1', y1);
-        line.setAttribute('x2', x2);
-        line.setAttribute('y2', y2);
 
         // Apply connection style with important priority
         if (conn.style) {
@@ -237,242 +736,1704 @@ class CanvasEngine {
 
         // Add label if present
         if (conn.label && conn.label.trim()) {
-            const label = this.createConnectionLabel(conn.label, x1, y1, x2, y2);
-            group.appendChild(label);
+            group.appendChild(this.createConnectionLabel(conn.label));
         }
 
+        this.positionConnection(group, fromObj, toObj, conn);
         return group;
     }
 
     /**
-     * Create connection label
+     * Apply the current path of a connection; labels other than self-message ones are set by placeLabels()
      */
-    createConnectionLabel(labelText, x1, y1, x2, y2) {
-        const midX = (x1 + x2) / 2;
-        const midY = (y1 + y2) / 2;
-
-        const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-        text.classList.add('connection-label');
-        text.setAttribute('x', midX);
-        text.setAttribute('y', midY - 5);
-        text.textContent = labelText;
+    positionConnection(connGroup, fromObj, toObj, conn) {
+        if (fromObj === toObj) {
+            this.positionSelfMessage(connGroup, fromObj, conn);
+            return;
+        }
 
-        return text;
+        connGroup.querySelector('.connection-line').setAttribute('d', this.getConnectionPath(fromObj, toObj, conn));
     }
 
     /**
-     * Calculate connection points between two objects
+     * Path data of a message between two different objects:
+     * lifeline rows and the 'straight' style draw directly (bundles as curves), other styles are routed
      */
-    calculateConnectionPoints(fromObj, toObj) {
-        const fromCenter = {
-            x: fromObj.x + fromObj.width / 2,
-            y: fromObj.y + fromObj.height / 2
-        };
-        const toCenter = {
-            x: toObj.x + toObj.width / 2,
-            y: toObj.y + toObj.height / 2
-        };
+    getConnectionPath(fromObj, toObj, conn) {
+        const bundle = this.connectionBundles.get(conn.id);
 
-        // Calculate intersection points with object boundaries
-        const fromEdge = this.getEdgeIntersection(fromObj, fromCenter, toCenter);
-        const toEdge = this.getEdgeIntersection(toObj, toCenter, fromCenter);
+        if (!this.isSequenceView() && this.routingStyle !== 'straight') {
+            return this.getRoutedConnectionPath(fromObj, toObj, conn, bundle);
+        }
+        if (bundle) {
+            return this.getBundledConnectionPath(fromObj, toObj, bundle);
+        }
 
-        return {
-            x1: fromEdge.x,
-            y1: fromEdge.y,
-            x2: toEdge.x,
-            y2: toEdge.y
-        };
+        const { x1, y1, x2, y2 } = this.calculateConnectionPoints(fromObj, toObj, conn);
+        return `M ${x1} ${y1} L ${x2} ${y2}`;
     }
 
     /**
-     * Get intersection point of line with object boundary
+     * Orthogonal or spline route around the other boxes; routes are cached until a box they pass moves
      */
-    getEdgeIntersection(obj, center, targetCenter) {
-        const dx = targetCenter.x - center.x;
-        const dy = targetCenter.y - center.y;
-        
-        const left = obj.x;
-        const right = obj.x + obj.width;
-        const top = obj.y;
-        const bottom = obj.y + obj.height;
-
-        // Calculate intersections with all four sides
-        const intersections = [];
-
-        if (dx !== 0) {
-            // Left edge
-            const t1 = (left - center.x) / dx;
-            const y1 = center.y + dy * t1;
-            if (t1 >= 0 && y1 >= top && y1 <= bottom) {
-                intersections.push({ x: left, y: y1, distance: Math.abs(t1) });
-            }
-
-            // Right edge
-            const t2 = (right - center.x) / dx;
-            const y2 = center.y + dy * t2;
-            if (t2 >= 0 && y2 >= top && y2 <= bottom) {
-                intersections.push({ x: right, y: y2, distance: Math.abs(t2) });
-            }
-        }
-
-        if (dy !== 0) {
-            // Top edge
-            const t3 = (top - center.y) / dy;
-            const x3 = center.x + dx * t3;
-            if (t3 >= 0 && x3 >= left && x3 <= right) {
-                intersections.push({ x: x3, y: top, distance: Math.abs(t3) });
-            }
-
-            // Bottom edge
-            const t4 = (bottom - center.y) / dy;
-            const x4 = center.x + dx * t4;
-            if (t4 >= 0 && x4 >= left && x4 <= right) {
-                intersections.push({ x: x4, y: bottom, distance: Math.abs(t4) });
-            }
-        }
-
-        // Return the closest intersection
-        if (intersections.length > 0) {
-            const closest = intersections.reduce((min, curr) => 
-                curr.distance < min.distance ? curr : min
-            );
-            return { x: closest.x, y: closest.y };
+    getRoutedConnectionPath(fromObj, toObj, conn, bundle) {
+        let points = this.routeCache.get(conn.id);
+        if (!points) {
+            const offset = bundle ? (bundle.index - (bundle.count - 1) / 2) * this.bundleSpacing : 0;
+            points = this.router.route(fromObj, toObj, Array.from(this.objects.values()), offset);
+            this.routeCache.set(conn.id, points);
         }
 
-        // Fallback to center
-        return center;
+        return this.router.toPathData(points, this.routingStyle);
     }
 
     /**
-     * Update connections when objects move
+     * Forget the routes that a moved box could change: its own messages and any route near where it was or is
      */
-    updateConnections() {
-        this.connectionsGroup.querySelectorAll('.connection').forEach(connGroup => {
-            const fromId = connGroup.getAttribute('data-from');
-            const toId = connGroup.getAttribute('data-to');
-            const fromObj = this.objects.get(fromId);
-            const toObj = this.objects.get(toId);
-
-            if (fromObj && toObj) {
-                const line = connGroup.querySelector('.connection-line');
-                const label = connGroup.querySelector('.connection-label');
-                
-                const { x1, y1, x2, y2 } = this.calculateConnectionPoints(fromObj, toObj);
-                
-                line.setAttribute('x1', x1);
-                line.setAttribute('y1', y1);
-                line.setAttribute('x2', x2);
-                line.setAttribute('y2', y2);
-
-                if (label) {
-                    const midX = (x1 + x2) / 2;
-                    const midY = (y1 + y2) / 2;
-                    label.setAttribute('x', midX);
-                    label.setAttribute('y', midY - 5);
-                }
+    invalidateRoutes() {
+        const moved = [];
+        this.objects.forEach((obj, id) => {
+            const box = { x: obj.x, y: obj.y, width: obj.width, height: obj.height };
+            const previous = this.routedBoxes.get(id);
+            if (previous && previous.x === box.x && previous.y === box.y &&
+                previous.width === box.width && previous.height === box.height) return;
+
+            moved.push({ id, boxes: previous ? [previous, box] : [box] });
+            this.routedBoxes.set(id, box);
+        });
+        if (moved.length === 0) return;
+
+        const movedIds = new Set(moved.map(entry => entry.id));
+        const connections = new Map(this.connections.map(conn => [conn.id, conn]));
+        this.routeCache.forEach((points, connectionId) => {
+            const conn = connections.get(connectionId);
+            const stale = !conn || movedIds.has(conn.from) || movedIds.has(conn.to) ||
+                moved.some(entry => entry.boxes.some(box => this.router.touches(points, box)));
+            if (stale) {
+                this.routeCache.delete(connectionId);
             }
         });
     }
 
     /**
-     * Setup event listeners for drag and drop
+     * Switch between 'straight', 'orthogonal' and 'spline' connections (free view)
      */
-    setupEventListeners() {
-        let startPos = { x: 0, y: 0 };
+    setRoutingStyle(style) {
+        this.routingStyle = style;
+        this.routeCache.clear();
+        this.updateConnections();
+    }
+
+    /**
+     * Group messages between the same two objects (either direction); only groups of two or more
+     * are returned: connection id -> { index, count, firstFrom }
+     */
+    findConnectionBundles(connections) {
+        const groups = new Map();
+        connections
+            .filter(conn => conn.from && conn.to && conn.from !== conn.to)
+            .forEach(conn => {
+                const key = JSON.stringify([conn.from, conn.to].sort());
+                groups.set(key, [...(groups.get(key) || []), conn]);
+            });
+
+        const bundles = new Map();
+        groups.forEach(group => {
+            if (group.length < 2) return;
+            group.forEach((conn, index) => {
+                bundles.set(conn.id, { index, count: group.length, firstFrom: group[0].from });
+            });
+        });
+        return bundles;
+    }
+
+    /**
+     * Curve of one message in a bundle: a quadratic bend offset from the straight line
+     */
+    getBundledConnectionPath(fromObj, toObj, bundle) {
+        const fromCenter = { x: fromObj.x + fromObj.width / 2, y: fromObj.y + fromObj.height / 2 };
+        const toCenter = { x: toObj.x + toObj.width / 2, y: toObj.y + toObj.height / 2 };
+
+        // Bend relative to the bundle's first direction so replies fan out on the same scale
+        const [a, b] = bundle.firstFrom === fromObj.id ? [fromCenter, toCenter] : [toCenter, fromCenter];
+        const distance = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+        const normal = { x: -(b.y - a.y) / distance, y: (b.x - a.x) / distance };
+        const offset = (bundle.index - (bundle.count - 1) / 2) * this.bundleSpacing;
+
+        // A quadratic curve reaches half way to its control point
+        const control = {
+            x: (fromCenter.x + toCenter.x) / 2 + normal.x * offset * 2,
+            y: (fromCenter.y + toCenter.y) / 2 + normal.y * offset * 2
+        };
+        const start = this.getEdgeIntersection(fromObj, fromCenter, control);
+        const end = this.getEdgeIntersection(toObj, toCenter, control);
+
+        return `M ${start.x} ${start.y} Q ${control.x} ${control.y} ${end.x} ${end.y}`;
+    }
+
+    /**
+     * Loop-back geometry of a self-message: out to the right and back into the same participant
+     */
+    getSelfLoopGeometry(obj, conn) {
+        if (this.isSequenceView() && conn && typeof conn.row === 'number') {
+            const y = this.getRowY(conn.row);
+            const bar = this.getActiveBarEdges(obj, conn.row);
+            const x = bar ? bar.right : obj.x + obj.width / 2;
+            const width = 36;
+            const height = this.layout.rowHeight * 0.45;
+
+            return {
+                d: `M ${x} ${y} H ${x + width} V ${y + height} H ${x}`,
+                labelX: x + width + 6,
+                labelY: y + height / 2
+            };
+        }
+
+        const right = obj.x + obj.width;
+        const centerY = obj.y + obj.height / 2;
+
+        return {
+            d: `M ${right} ${centerY - 12} C ${right + 50} ${centerY - 36}, ${right + 50} ${centerY + 36}, ${right} ${centerY + 12}`,
+            labelX: right + 44,
+            labelY: centerY
+        };
+    }
+
+    /**
+     * Apply the loop path and side label of a self-message
+     */
+    positionSelfMessage(connGroup, obj, conn) {
+        const { d, labelX, labelY } = this.getSelfLoopGeometry(obj, conn);
+        connGroup.querySelector('.connection-line').setAttribute('d', d);
+
+        const label = connGroup.querySelector('.connection-label');
+        if (label) {
+            label.classList.add('self-label');
+            this.setLabelPosition(label, labelX, labelY);
+        }
+    }
+
+    /**
+     * Drawn length of a connection along its path, whatever its shape
+     */
+    getConnectionLength(line) {
+        return line.getTotalLength();
+    }
+
+    /**
+     * Create connection label, one tspan per line; placeLabels() positions it
+     */
+    createConnectionLabel(labelText) {
+        const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        text.classList.add('connection-label');
+
+        this.wrapLabelText(labelText).forEach(line => {
+            const tspan = document.createElementNS('http://www.w3.org/2000/svg', 'tspan');
+            tspan.textContent = line;
+            text.appendChild(tspan);
+        });
+
+        return text;
+    }
+
+    /**
+     * Split a label into lines at PlantUML's \n, then wrap words at labelMaxWidth;
+     * a word wider than a line (long identifiers, Korean without spaces) breaks between characters
+     */
+    wrapLabelText(text) {
+        return text.split('\\n').flatMap(paragraph => {
+            const lines = [];
+            let line = '';
+
+            paragraph.trim().split(/\s+/).forEach(word => {
+                const joined = line ? `${line} ${word}` : word;
+                if (this.estimateTextWidth(joined) <= this.labelMaxWidth) {
+                    line = joined;
+                    return;
+                }
+
+                if (line) lines.push(line);
+                line = '';
+                Array.from(word).forEach(char => {
+                    if (line && this.estimateTextWidth(line + char) > this.labelMaxWidth) {
+                        lines.push(line);
+                        line = '';
+                    }
+                    line += char;
+                });
+            });
+
+            lines.push(line);
+            return lines;
+        });
+    }
+
+    /**
+     * Approximate width of label text; Hangul and other wide characters take about twice a Latin one
+     */
+    estimateTextWidth(text) {
+        return Array.from(text).reduce((width, char) => width + (char.charCodeAt(0) >= 0x1100 ? 12 : 7), 0);
+    }
+
+    /**
+     * Size of a label's text block from its lines
+     */
+    getLabelSize(label) {
+        const lines = Array.from(label.querySelectorAll('tspan'), tspan => tspan.textContent);
+        return {
+            width: Math.max(...lines.map(line => this.estimateTextWidth(line))) + 6,
+            height: lines.length * this.labelLineHeight
+        };
+    }
+
+    /**
+     * Centre a label's lines on a point, optionally turned by `angle` degrees around it
+     */
+    setLabelPosition(label, x, y, angle = 0) {
+        label.setAttribute('x', x);
+        label.setAttribute('y', y);
+
+        const tspans = label.querySelectorAll('tspan');
+        tspans.forEach((tspan, index) => {
+            tspan.setAttribute('x', x);
+            tspan.setAttribute('dy', index === 0 ? -((tspans.length - 1) / 2) * this.labelLineHeight : this.labelLineHeight);
+        });
+
+        if (angle) {
+            label.setAttribute('transform', `rotate(${angle} ${x} ${y})`);
+        } else {
+            label.removeAttribute('transform');
+        }
+    }
+
+    /**
+     * Put each message label on the first spot along its path that is clear of boxes, other connections'
+     * paths and earlier labels (or the least crowded one). A label keeps its spot while that stays clear, and does not move to
+     * another spot while objects are being dragged or animated.
+     */
+    placeLabels() {
+        const frozen = this.isDragging || this.objectAnimation !== null;
+        const boxes = Array.from(this.objects.values());
+        // Sampling every path is costly, so it only happens once a label has spots to choose from
+        let paths = null;
+        const placed = [];
+
+        this.connectionsGroup.querySelectorAll('.connection').forEach(connGroup => {
+            const label = connGroup.querySelector('.connection-label');
+            if (!label || label.style.display === 'none') return;
+
+            const size = this.getLabelSize(label);
+            if (label.classList.contains('self-label')) {
+                // Self-message labels stay beside their loop but still keep others away
+                const x = parseFloat(label.getAttribute('x'));
+                const y = parseFloat(label.getAttribute('y'));
+                placed.push({ x, y: y - size.height / 2, ...size });
+                return;
+            }
+
+            const id = connGroup.getAttribute('data-id');
+            const path = connGroup.querySelector('.connection-line');
+            const previous = this.labelPlacements.get(id);
+            if (frozen && previous) {
+                // Held in place: follow the moving path without scoring anything
+                const spot = this.getLabelSpot(path, previous, size, this.isLabelAlongPath(id));
+                this.setLabelPosition(label, spot.x, spot.y, spot.angle);
+                placed.push(spot.rect);
+                return;
+            }
+
+            paths = paths || this.getPathObstacles();
+            const obstacles = [...boxes];
+            paths.forEach((pieces, pathId) => {
+                if (pathId !== id) obstacles.push(...pieces);
+            });
+            const candidates = previous ? [previous, ...this.labelCandidates] : this.labelCandidates;
+
+            let best = null;
+            for (const candidate of candidates) {
+                const spot = this.getLabelSpot(path, candidate, size, this.isLabelAlongPath(id));
+                const overlap = [...obstacles, ...placed].reduce((sum, rect) => sum + this.getOverlapArea(spot.rect, rect), 0);
+                if (!best || overlap < best.overlap) {
+                    best = { candidate, spot, overlap };
+                }
+                if (overlap === 0) break;
+            }
+
+            this.labelPlacements.set(id, best.candidate);
+            this.setLabelPosition(label, best.spot.x, best.spot.y, best.spot.angle);
+            placed.push(best.spot.rect);
+        });
+    }
+
+    /**
+     * Bundled curves in the straight style turn their labels along the curve
+     */
+    isLabelAlongPath(connectionId) {
+        return !this.isSequenceView() && this.routingStyle === 'straight' && this.connectionBundles.has(connectionId);
+    }
+
+    /**
+     * Centre, angle and bounding box of a label at fraction `t` of a path, on one `side` of it
+     * (1 above / left of the line, -1 below / right)
+     */
+    getLabelSpot(path, { t, side }, size, alongPath) {
+        const length = path.getTotalLength();
+        const point = path.getPointAtLength(length * t);
+        const ahead = path.getPointAtLength(Math.min(length, length * t + 1));
+        const behind = path.getPointAtLength(Math.max(0, length * t - 1));
+        const tangentLength = Math.hypot(ahead.x - behind.x, ahead.y - behind.y) || 1;
+        const tangent = { x: (ahead.x - behind.x) / tangentLength, y: (ahead.y - behind.y) / tangentLength };
+
+        // Normal pointing up (or left on vertical lines)
+        let normal = { x: tangent.y, y: -tangent.x };
+        if (normal.y > 0 || (normal.y === 0 && normal.x > 0)) {
+            normal = { x: -normal.x, y: -normal.y };
+        }
+
+        let angle = 0;
+        let offset;
+        if (alongPath) {
+            // Keep the text upright whichever way the message points
+            angle = Math.atan2(tangent.y, tangent.x) * 180 / Math.PI;
+            if (angle > 90) angle -= 180;
+            if (angle < -90) angle += 180;
+            offset = size.height / 2 - 2;
+        } else {
+            offset = Math.max(0, (size.width / 2) * Math.abs(normal.x) + (size.height / 2) * Math.abs(normal.y) - 2);
+        }
+
+        const x = point.x + normal.x * offset * side;
+        const y = point.y + normal.y * offset * side;
+        const radians = angle * Math.PI / 180;
+        const width = size.width * Math.abs(Math.cos(radians)) + size.height * Math.abs(Math.sin(radians));
+        const height = size.width * Math.abs(Math.sin(radians)) + size.height * Math.abs(Math.cos(radians));
+
+        return { x, y, angle, rect: { x: x - width / 2, y: y - height / 2, width, height } };
+    }
+
+    /**
+     * Boxes (a few px thick) around consecutive samples of every connection path, by connection id
+     */
+    getPathObstacles() {
+        const obstacles = new Map();
+
+        this.connectionsGroup.querySelectorAll('.connection').forEach(connGroup => {
+            const path = connGroup.querySelector('.connection-line');
+            if (!path) return;
+
+            const length = path.getTotalLength();
+            const count = Math.max(1, Math.ceil(length / this.labelPathStep));
+            const pieces = [];
+            let previous = path.getPointAtLength(0);
+            for (let i = 1; i <= count; i++) {
+                const point = path.getPointAtLength(length * i / count);
+                pieces.push({
+                    x: Math.min(previous.x, point.x) - 2,
+                    y: Math.min(previous.y, point.y) - 2,
+                    width: Math.abs(point.x - previous.x) + 4,
+                    height: Math.abs(point.y - previous.y) + 4
+                });
+                previous = point;
+            }
+            obstacles.set(connGroup.getAttribute('data-id'), pieces);
+        });
+
+        return obstacles;
+    }
+
+    /**
+     * Area shared by two { x, y, width, height } boxes (0 when they do not touch)
+     */
+    getOverlapArea(a, b) {
+        const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+        const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+        return width > 0 && height > 0 ? width * height : 0;
+    }
+
+    /**
+     * Calculate connection points between two objects
+     */
+    calculateConnectionPoints(fromObj, toObj, conn = null) {
+        // In the lifeline layout messages run horizontally on their own row
+        if (this.isSequenceView() && conn && typeof conn.row === 'number') {
+            const y = this.getRowY(conn.row);
+            const fromX = fromObj.x + fromObj.width / 2;
+            const toX = toObj.x + toObj.width / 2;
+            const rightwards = toX >= fromX;
+
+            // Arrows start and end on the side of an activation bar instead of the lifeline
+            const fromBar = this.getActiveBarEdges(fromObj, conn.row);
+            const toBar = this.getActiveBarEdges(toObj, conn.row);
+
+            return {
+                x1: fromBar ? (rightwards ? fromBar.right : fromBar.left) : fromX,
+                y1: y,
+                x2: toBar ? (rightwards ? toBar.left : toBar.right) : toX,
+                y2: y
+            };
+        }
+
+        const fromCenter = {
+            x: fromObj.x + fromObj.width / 2,
+            y: fromObj.y + fromObj.height / 2
+        };
+        const toCenter = {
+            x: toObj.x + toObj.width / 2,
+            y: toObj.y + toObj.height / 2
+        };
+
+        // Calculate intersection points with object boundaries
+        const fromEdge = this.getEdgeIntersection(fromObj, fromCenter, toCenter);
+        const toEdge = this.getEdgeIntersection(toObj, toCenter, fromCenter);
+
+        return {
+            x1: fromEdge.x,
+            y1: fromEdge.y,
+            x2: toEdge.x,
+            y2: toEdge.y
+        };
+    }
+
+    /**
+     * Get intersection point of line with object boundary
+     */
+    getEdgeIntersection(obj, center, targetCenter) {
+        const dx = targetCenter.x - center.x;
+        const dy = targetCenter.y - center.y;
+        
+        const left = obj.x;
+        const right = obj.x + obj.width;
+        const top = obj.y;
+        const bottom = obj.y + obj.height;
+
+        // Calculate intersections with all four sides
+        const intersections = [];
+
+        if (dx !== 0) {
+            // Left edge
+            const t1 = (left - center.x) / dx;
+            const y1 = center.y + dy * t1;
+            if (t1 >= 0 && y1 >= top && y1 <= bottom) {
+                intersections.push({ x: left, y: y1, distance: Math.abs(t1) });
+            }
+
+            // Right edge
+            const t2 = (right - center.x) / dx;
+            const y2 = center.y + dy * t2;
+            if (t2 >= 0 && y2 >= top && y2 <= bottom) {
+                intersections.push({ x: right, y: y2, distance: Math.abs(t2) });
+            }
+        }
+
+        if (dy !== 0) {
+            // Top edge
+            const t3 = (top - center.y) / dy;
+            const x3 = center.x + dx * t3;
+            if (t3 >= 0 && x3 >= left && x3 <= right) {
+                intersections.push({ x: x3, y: top, distance: Math.abs(t3) });
+            }
+
+            // Bottom edge
+            const t4 = (bottom - center.y) / dy;
+            const x4 = center.x + dx * t4;
+            if (t4 >= 0 && x4 >= left && x4 <= right) {
+                intersections.push({ x: x4, y: bottom, distance: Math.abs(t4) });
+            }
+        }
+
+        // Return the closest intersection
+        if (intersections.length > 0) {
+            const closest = intersections.reduce((min, curr) => 
+                curr.distance < min.distance ? curr : min
+            );
+            return { x: closest.x, y: closest.y };
+        }
+
+        // Fallback to center
+        return center;
+    }
+
+    /**
+     * Render combined fragment frames (alt, loop, par, ...)
+     */
+    renderFragments() {
+        this.fragments.forEach(fragment => {
+            const fragmentGroup = this.createFragmentElement(fragment);
+            if (fragmentGroup) {
+                this.fragmentsGroup.appendChild(fragmentGroup);
+            }
+        });
+    }
+
+    /**
+     * Create SVG element for a fragment frame with its operator tab and guards
+     */
+    createFragmentElement(fragment) {
+        const bounds = this.calculateFragmentBounds(fragment);
+        if (!bounds) return null;
+
+        const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        group.classList.add('fragment', `fragment-${fragment.type}`);
+        group.setAttribute('data-id', fragment.id);
+
+        const frame = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+        frame.classList.add('fragment-frame');
+
+        const tab = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        tab.classList.add('fragment-tab');
+
+        const operator = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        operator.classList.add('fragment-operator');
+        operator.textContent = fragment.type;
+
+        const guard = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        guard.classList.add('fragment-guard');
+
+        group.appendChild(frame);
+        group.appendChild(tab);
+        group.appendChild(operator);
+        group.appendChild(guard);
+
+        if (this.isSequenceView()) {
+            // Each branch gets its own guard; later branches start below a dashed separator
+            guard.textContent = fragment.branches[0].label ? `[${fragment.branches[0].label}]` : '';
+
+            fragment.branches.slice(1).forEach((branch, index) => {
+                const separator = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+                separator.classList.add('fragment-separator');
+                separator.setAttribute('data-branch', index + 1);
+
+                const branchGuard = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+                branchGuard.classList.add('fragment-guard', 'fragment-branch-guard');
+                branchGuard.setAttribute('data-branch', index + 1);
+                branchGuard.textContent = branch.label ? `[${branch.label}]` : '';
+
+                group.appendChild(separator);
+                group.appendChild(branchGuard);
+            });
+        } else {
+            guard.textContent = fragment.branches
+                .filter(branch => branch.label)
+                .map(branch => `[${branch.label}]`)
+                .join(' / ');
+        }
+
+        this.positionFragmentElement(group, bounds);
+        return group;
+    }
+
+    /**
+     * Apply frame geometry to an existing fragment element
+     */
+    positionFragmentElement(group, bounds) {
+        const tabWidth = Math.max(group.querySelector('.fragment-operator').textContent.length * 8 + 20, 44);
+        const tabHeight = 18;
+        const { x, y, width, height } = bounds;
+
+        const frame = group.querySelector('.fragment-frame');
+        frame.setAttribute('x', x);
+        frame.setAttribute('y', y);
+        frame.setAttribute('width', width);
+        frame.setAttribute('height', height);
+
+        group.querySelector('.fragment-tab').setAttribute('d',
+            `M ${x} ${y} H ${x + tabWidth} V ${y + tabHeight - 6} L ${x + tabWidth - 6} ${y + tabHeight} H ${x} Z`);
+
+        const operator = group.querySelector('.fragment-operator');
+        operator.setAttribute('x', x + 8);
+        operator.setAttribute('y', y + tabHeight / 2);
+
+        const guard = group.querySelector('.fragment-guard');
+        guard.setAttribute('x', x + tabWidth + 8);
+        guard.setAttribute('y', y + tabHeight / 2);
+
+        (bounds.separators || []).forEach((separatorY, index) => {
+            const separator = group.querySelector(`.fragment-separator[data-branch="${index + 1}"]`);
+            const branchGuard = group.querySelector(`.fragment-branch-guard[data-branch="${index + 1}"]`);
+            if (!separator || !branchGuard) return;
+
+            separator.setAttribute('x1', x);
+            separator.setAttribute('y1', separatorY);
+            separator.setAttribute('x2', x + width);
+            separator.setAttribute('y2', separatorY);
+            branchGuard.setAttribute('x', x + 8);
+            branchGuard.setAttribute('y', separatorY + tabHeight / 2);
+        });
+    }
+
+    /**
+     * Calculate the frame around every participant used inside a fragment
+     */
+    calculateFragmentBounds(fragment) {
+        const fragmentIds = this.getFragmentSubtreeIds(fragment.id);
+        const participantIds = new Set();
+
+        this.connections.forEach(conn => {
+            if (conn.from && conn.to && fragmentIds.has(conn.fragmentId)) {
+                participantIds.add(conn.from);
+                participantIds.add(conn.to);
+            }
+        });
+
+        const participants = Array.from(participantIds)
+            .map(id => this.objects.get(id))
+            .filter(Boolean);
+
+        if (this.isSequenceView()) {
+            // Empty fragments still occupy their rows, so span the whole diagram
+            return this.calculateSequenceFragmentBounds(fragment,
+                participants.length > 0 ? participants : Array.from(this.objects.values()));
+        }
+
+        if (participants.length === 0) return null;
+
+        // Outer fragments get more padding so nested frames stay visible
+        const padding = 12 + this.getFragmentNestingHeight(fragment.id) * 10;
+        const headerHeight = 20;
+
+        const left = Math.min(...participants.map(obj => obj.x)) - padding;
+        const top = Math.min(...participants.map(obj => obj.y)) - padding - headerHeight;
+        const right = Math.max(...participants.map(obj => obj.x + obj.width)) + padding;
+        const bottom = Math.max(...participants.map(obj => obj.y + obj.height)) + padding;
+
+        return { x: left, y: top, width: right - left, height: bottom - top };
+    }
+
+    /**
+     * Frame a fragment's rows across the lifelines of its participants
+     */
+    calculateSequenceFragmentBounds(fragment, participants) {
+        if (participants.length === 0) return null;
+
+        const { rowHeight } = this.layout;
+        const padding = 30 + this.getFragmentNestingHeight(fragment.id) * 10;
+        const centers = participants.map(obj => obj.x + obj.width / 2);
+
+        const left = Math.min(...centers) - padding;
+        const right = Math.max(Math.max(...centers) + padding, left + 160);
+        const top = this.getRowY(fragment.startRow) - rowHeight / 2 + 4;
+        const bottom = this.getRowY(fragment.endRow) - rowHeight / 4;
+        const separators = fragment.branches
+            .slice(1)
+            .map(branch => this.getRowY(branch.startRow) - rowHeight / 2 + 4);
+
+        return { x: left, y: top, width: right - left, height: bottom - top, separators };
+    }
+
+    /**
+     * Render notes as folded-corner boxes
+     */
+    renderNotes() {
+        this.notes.forEach(note => {
+            const noteGroup = this.createNoteElement(note);
+            if (noteGroup) {
+                this.notesGroup.appendChild(noteGroup);
+            }
+        });
+    }
+
+    /**
+     * Create SVG element for a note with one text line per source line
+     */
+    createNoteElement(note) {
+        const bounds = this.calculateNoteBounds(note);
+        if (!bounds) return null;
+
+        const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        group.classList.add('note');
+        group.setAttribute('data-id', note.id);
+
+        const body = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        body.classList.add('note-body');
+
+        const fold = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        fold.classList.add('note-fold');
+
+        const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        text.classList.add('note-text');
+        note.lines.forEach((line, index) => {
+            const tspan = document.createElementNS('http://www.w3.org/2000/svg', 'tspan');
+            tspan.setAttribute('dy', index === 0 ? 0 : this.noteLineHeight);
+            tspan.textContent = line;
+            text.appendChild(tspan);
+        });
+
+        group.appendChild(body);
+        group.appendChild(fold);
+        group.appendChild(text);
+
+        this.positionNoteElement(group, bounds);
+        return group;
+    }
+
+    /**
+     * Apply box geometry to an existing note element
+     */
+    positionNoteElement(group, bounds) {
+        const { x, y, width, height } = bounds;
+        const corner = 10;
+
+        group.querySelector('.note-body').setAttribute('d',
+            `M ${x} ${y} H ${x + width - corner} L ${x + width} ${y + corner} V ${y + height} H ${x} Z`);
+        group.querySelector('.note-fold').setAttribute('d',
+            `M ${x + width - corner} ${y} V ${y + corner} H ${x + width}`);
+
+        const text = group.querySelector('.note-text');
+        text.setAttribute('y', y + 6 + this.noteLineHeight / 2);
+        text.querySelectorAll('tspan').forEach(tspan => tspan.setAttribute('x', x + 10));
+    }
+
+    /**
+     * Size of a note box from its text
+     */
+    getNoteSize(note) {
+        const longest = Math.max(...note.lines.map(line => line.length));
+        return {
+            width: Math.max(60, longest * 7 + 24),
+            height: note.lines.length * this.noteLineHeight + 12
+        };
+    }
+
+    /**
+     * Place a note beside or over its participants (and message row in the lifeline layout)
+     */
+    calculateNoteBounds(note) {
+        const participants = note.participants
+            .map(id => this.objects.get(id))
+            .filter(Boolean);
+        if (participants.length === 0) return null;
+
+        const { width, height } = this.getNoteSize(note);
+        const gap = 12;
+
+        if (this.isSequenceView()) {
+            const centers = participants.map(obj => obj.x + obj.width / 2);
+            const minCenter = Math.min(...centers);
+            const maxCenter = Math.max(...centers);
+            const y = note.anchorConnectionId
+                ? this.getRowY(note.row) - height / 2
+                : this.getRowY(note.row) - this.layout.rowHeight / 2 + 4;
+
+            if (note.position === 'left') return { x: minCenter - gap - width, y, width, height };
+            if (note.position === 'right') return { x: maxCenter + gap, y, width, height };
+
+            const spanWidth = Math.max(width, maxCenter - minCenter + 40);
+            return { x: (minCenter + maxCenter - spanWidth) / 2, y, width: spanWidth, height };
+        }
+
+        const left = Math.min(...participants.map(obj => obj.x));
+        const top = Math.min(...participants.map(obj => obj.y));
+        const right = Math.max(...participants.map(obj => obj.x + obj.width));
+
+        if (note.position === 'left') return { x: left - gap - width, y: top, width, height };
+        if (note.position === 'right') return { x: right + gap, y: top, width, height };
+
+        const spanWidth = Math.max(width, right - left);
+        return { x: (left + right - spanWidth) / 2, y: top - gap - height, width: spanWidth, height };
+    }
+
+    /**
+     * Update notes when participants move
+     */
+    updateNotes() {
+        this.notesGroup.querySelectorAll('.note').forEach(noteGroup => {
+            const note = this.notes.find(n => n.id === noteGroup.getAttribute('data-id'));
+            const bounds = note && this.calculateNoteBounds(note);
+            if (bounds) {
+                this.positionNoteElement(noteGroup, bounds);
+            }
+        });
+    }
+
+    /**
+     * Reveal a note that playback has reached
+     */
+    showNote(noteId) {
+        const noteElement = this.notesGroup.querySelector(`[data-id="${noteId}"]`);
+        if (noteElement) {
+            noteElement.classList.add('revealed');
+        }
+    }
+
+    /**
+     * Collect a fragment id together with all of its nested fragment ids
+     */
+    getFragmentSubtreeIds(fragmentId) {
+        const ids = new Set([fragmentId]);
+        let added = true;
+
+        while (added) {
+            added = false;
+            this.fragments.forEach(fragment => {
+                if (fragment.parentId && ids.has(fragment.parentId) && !ids.has(fragment.id)) {
+                    ids.add(fragment.id);
+                    added = true;
+                }
+            });
+        }
+
+        return ids;
+    }
+
+    /**
+     * Number of fragment levels nested below a fragment
+     */
+    getFragmentNestingHeight(fragmentId) {
+        const children = this.fragments.filter(fragment => fragment.parentId === fragmentId);
+        if (children.length === 0) return 0;
+
+        return 1 + Math.max(...children.map(child => this.getFragmentNestingHeight(child.id)));
+    }
+
+    /**
+     * Update fragment frames when objects move
+     */
+    updateFragments() {
+        this.fragmentsGroup.querySelectorAll('.fragment').forEach(fragmentGroup => {
+            const fragment = this.fragments.find(f => f.id === fragmentGroup.getAttribute('data-id'));
+            const bounds = fragment && this.calculateFragmentBounds(fragment);
+            if (bounds) {
+                this.positionFragmentElement(fragmentGroup, bounds);
+            }
+        });
+    }
+
+    /**
+     * Highlight fragment frame
+     */
+    highlightFragment(fragmentId, className = 'active') {
+        const fragmentElement = this.fragmentsGroup.querySelector(`[data-id="${fragmentId}"]`);
+        if (fragmentElement) {
+            fragmentElement.classList.add(className);
+        }
+    }
+
+    /**
+     * Remove highlight from fragment frame
+     */
+    removeFragmentHighlight(fragmentId, className = 'active') {
+        const fragmentElement = this.fragmentsGroup.querySelector(`[data-id="${fragmentId}"]`);
+        if (fragmentElement) {
+            fragmentElement.classList.remove(className);
+        }
+    }
+
+    /**
+     * Update connections when objects move
+     */
+    updateConnections() {
+        this.invalidateRoutes();
+
+        this.connectionsGroup.querySelectorAll('.connection').forEach(connGroup => {
+            const fromObj = this.objects.get(connGroup.getAttribute('data-from'));
+            const toObj = this.objects.get(connGroup.getAttribute('data-to'));
+            const conn = this.connections.find(c => c.id === connGroup.getAttribute('data-id'));
+
+            if (fromObj && toObj && conn) {
+                this.positionConnection(connGroup, fromObj, toObj, conn);
+            }
+        });
+        this.placeLabels();
+
+        this.updateLifelines();
+        this.updateActivations();
+        this.updateFragments();
+        this.updateNotes();
+    }
+
+    /**
+     * Setup pointer (mouse, pen and touch) listeners for dragging, tapping, panning and zooming
+     */
+    setupEventListeners() {
+        this.canvas.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+        this.canvas.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+        this.canvas.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+        this.canvas.addEventListener('pointercancel', (e) => this.handlePointerUp(e, true));
+
+        // Right-click offers the same actions as a long press
+        this.canvas.addEventListener('contextmenu', (e) => {
+            const objectElement = e.target.closest('.uml-object');
+            if (!objectElement) return;
+
+            e.preventDefault();
+            this.dispatchObjectContextMenu(objectElement, e.clientX, e.clientY);
+        });
+
+        // Wheel (and trackpad pinch, which arrives as a ctrl + wheel) zooms around the pointer
+        this.canvas.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            const delta = e.deltaMode === 1 ? e.deltaY * 16 : e.deltaY;
+            const factor = Math.exp(-delta * (e.ctrlKey ? 0.01 : 0.002));
+            this.zoomAt(this.view.scale * factor, e.clientX, e.clientY);
+        }, { passive: false });
+
+        // Space held outside text fields switches dragging to panning
+        document.addEventListener('keydown', (e) => {
+            if (e.code !== 'Space' || e.repeat || this.isEditableTarget(e.target)) return;
+            this.spacePressed = true;
+            this.spacePanned = false;
+            this.canvas.classList.add('pan-ready');
+        });
+
+        document.addEventListener('keyup', (e) => {
+            if (e.code !== 'Space') return;
+            this.spacePressed = false;
+            this.canvas.classList.remove('pan-ready');
+        });
+
+        // With pointer capture the click after a gesture is targeted at the canvas itself;
+        // it only finishes that gesture and must not clear the selection or stop playback
+        this.canvas.addEventListener('click', (e) => {
+            if (this.suppressClick) {
+                e.stopImmediatePropagation();
+                return;
+            }
+            if (!e.target.closest('.uml-object') && !e.shiftKey) {
+                this.clearSelection();
+            }
+        });
+    }
+
+    /**
+     * Start an object drag, a box selection, a pan or (with a second finger) a pinch
+     */
+    handlePointerDown(e) {
+        this.finishObjectAnimation();
+        this.activePointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        this.suppressClick = false;
+        if (this.canvas.setPointerCapture) {
+            this.canvas.setPointerCapture(e.pointerId);
+        }
+
+        // A second finger turns whatever the first one was doing into a pinch
+        if (this.activePointers.size === 2) {
+            this.startPinch();
+            e.preventDefault();
+            return;
+        }
+        if (this.interaction) return;
+
+        const objectElement = e.target.closest('.uml-object');
+
+        // Middle button, Space + drag, or a finger on empty canvas pans the view
+        if (e.button === 1 || (e.button === 0 && this.spacePressed) || (!objectElement && e.pointerType === 'touch')) {
+            this.spacePanned = this.spacePressed;
+            this.interaction = {
+                type: 'pan',
+                startX: e.clientX,
+                startY: e.clientY,
+                viewX: this.view.x,
+                viewY: this.view.y
+            };
+            this.canvas.classList.add('panning');
+            e.preventDefault();
+            return;
+        }
+
+        if (e.button !== 0) return;
+
+        // Dragging on empty canvas draws a selection box
+        if (!objectElement) {
+            this.interaction = {
+                type: 'marquee',
+                startX: e.clientX,
+                startY: e.clientY,
+                origin: this.clientToCanvas(e.clientX, e.clientY),
+                baseIds: e.shiftKey ? new Set(this.selectedIds) : new Set(),
+                box: null
+            };
+            e.preventDefault();
+            return;
+        }
+
+        const objectId = objectElement.getAttribute('data-id');
+
+        // Shift-click toggles an object in the selection; a deselected object is not dragged
+        if (e.shiftKey && this.selectedIds.has(objectId)) {
+            this.toggleSelection(objectId);
+            this.suppressClick = true;
+            e.preventDefault();
+            return;
+        }
+
+        const additive = e.shiftKey;
+        if (additive) {
+            this.toggleSelection(objectId);
+        } else if (!this.selectedIds.has(objectId)) {
+            this.setSelection([objectId]);
+        }
+
+        // Grabbing any selected object moves the whole selection
+        const origins = new Map(this.getSelectedIds().map(id => {
+            const obj = this.objects.get(id);
+            return [id, { x: obj.x, y: obj.y }];
+        }));
+
+        this.selectedObject = objectElement;
+        this.interaction = {
+            type: 'object',
+            startX: e.clientX,
+            startY: e.clientY,
+            pointer: this.clientToCanvas(e.clientX, e.clientY),
+            grabbedId: objectId,
+            origins,
+            additive,
+            longPressed: false
+        };
+
+        // Holding still opens the object's context actions
+        this.longPressTimer = setTimeout(() => {
+            this.longPressTimer = null;
+            this.interaction.longPressed = true;
+            this.dispatchObjectContextMenu(objectElement, e.clientX, e.clientY);
+        }, this.longPressDelay);
+
+        e.preventDefault();
+    }
+
+    /**
+     * Track a moving pointer and advance the pan, pinch, marquee or drag it belongs to
+     */
+    handlePointerMove(e) {
+        if (!this.activePointers.has(e.pointerId)) return;
+        this.activePointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+        const interaction = this.interaction;
+        if (!interaction) return;
+
+        if (interaction.type === 'pinch') {
+            this.updatePinch();
+        } else if (interaction.type === 'pan') {
+            const unit = this.getClientUnit();
+            this.setView({
+                x: interaction.viewX + (e.clientX - interaction.startX) / unit,
+                y: interaction.viewY + (e.clientY - interaction.startY) / unit,
+                scale: this.view.scale
+            });
+        } else if (interaction.type === 'marquee') {
+            if (!interaction.box && Math.hypot(e.clientX - interaction.startX, e.clientY - interaction.startY) < this.tapThreshold) return;
+            this.updateMarquee(e.clientX, e.clientY);
+        } else if (interaction.type === 'object' && !interaction.longPressed) {
+            // Movements within the tap threshold are still a tap; measured on screen so zoom does not matter
+            if (!this.isDragging) {
+                const distance = Math.hypot(e.clientX - interaction.startX, e.clientY - interaction.startY);
+                if (distance < this.tapThreshold) return;
+
+                this.isDragging = true;
+                this.cancelLongPress();
+            }
+            this.dragSelection(e.clientX, e.clientY);
+        }
 
-        this.canvas.addEventListener('mousedown', (e) => {
-            const objectElement = e.target.closest('.uml-object');
-            if (!objectElement) return;
+        e.preventDefault();
+    }
 
-            this.isDragging = true;
-            this.selectedObject = objectElement;
-            
-            const objectId = objectElement.getAttribute('data-id');
-            const obj = this.objects.get(objectId);
-            
-            const svgRect = this.canvas.getBoundingClientRect();
-            const mouseX = ((e.clientX - svgRect.left) / svgRect.width) * this.canvasRect.width;
-            const mouseY = ((e.clientY - svgRect.top) / svgRect.height) * this.canvasRect.height;
-            
-            this.dragOffset = {
-                x: mouseX - obj.x,
-                y: mouseY - obj.y
-            };
+    /**
+     * Finish the interaction of a lifted pointer: a tap clicks the object, a drag reports the move
+     */
+    handlePointerUp(e, cancelled = false) {
+        if (!this.activePointers.has(e.pointerId)) return;
+        this.activePointers.delete(e.pointerId);
+        if (this.canvas.releasePointerCapture && this.canvas.hasPointerCapture && this.canvas.hasPointerCapture(e.pointerId)) {
+            this.canvas.releasePointerCapture(e.pointerId);
+        }
 
-            startPos = { x: mouseX, y: mouseY };
-            
-            // Add selected class
-            this.clearSelection();
-            objectElement.classList.add('selected');
-            
-            e.preventDefault();
-        });
+        const interaction = this.interaction;
+        if (!interaction) return;
+
+        // Lifting one finger of a pinch leaves the other one panning
+        if (interaction.type === 'pinch') {
+            if (this.activePointers.size >= 2) {
+                this.startPinch();
+            } else if (this.activePointers.size === 1) {
+                const [remaining] = Array.from(this.activePointers.values());
+                this.interaction = {
+                    type: 'pan',
+                    startX: remaining.x,
+                    startY: remaining.y,
+                    viewX: this.view.x,
+                    viewY: this.view.y
+                };
+            } else {
+                this.interaction = null;
+            }
+            return;
+        }
 
-        this.canvas.addEventListener('mousemove', (e) => {
-            if (!this.isDragging || !this.selectedObject) return;
+        this.interaction = null;
+        this.cancelLongPress();
 
-            const objectId = this.selectedObject.getAttribute('data-id');
-            const obj = this.objects.get(objectId);
-            
-            const svgRect = this.canvas.getBoundingClientRect();
-            const mouseX = ((e.clientX - svgRect.left) / svgRect.width) * this.canvasRect.width;
-            const mouseY = ((e.clientY - svgRect.top) / svgRect.height) * this.canvasRect.height;
-            
-            // Update object position
-            obj.x = Math.max(0, Math.min(mouseX - this.dragOffset.x, this.canvasRect.width - obj.width));
-            obj.y = Math.max(0, Math.min(mouseY - this.dragOffset.y, this.canvasRect.height - obj.height));
-            
-            // Update visual position
-            this.selectedObject.setAttribute('transform', `translate(${obj.x}, ${obj.y})`);
-            
-            // Update connections
-            this.updateConnections();
-            
-            e.preventDefault();
+        if (interaction.type === 'pan') {
+            this.canvas.classList.remove('panning');
+            return;
+        }
+
+        if (interaction.type === 'marquee') {
+            if (interaction.box) {
+                interaction.box.remove();
+                this.suppressClick = true;
+            }
+            return;
+        }
+
+        const objectElement = this.selectedObject;
+        const objectId = objectElement.getAttribute('data-id');
+        const wasDragging = this.isDragging;
+        this.isDragging = false;
+        this.selectedObject = null;
+        this.suppressClick = true;
+        this.flushConnectionUpdate();
+        this.renderGuides([]);
+        if (wasDragging) {
+            // Labels held their spots during the drag; now they may look for better ones
+            this.placeLabels();
+        }
+
+        // A cancelled drag (the browser took over the gesture) still keeps the objects where they
+        // were left, so it is reported like a drop; a cancelled tap does nothing
+        if (interaction.longPressed || (cancelled && !wasDragging)) return;
+
+        if (!wasDragging) {
+            // Shift-clicks only build the selection; a plain tap narrows it to the object and plays from it
+            if (interaction.additive) return;
+
+            this.setSelection([objectId]);
+            this.canvas.dispatchEvent(new CustomEvent('objectClick', {
+                detail: {
+                    objectId,
+                    element: objectElement
+                }
+            }));
+        } else if (this.isSequenceView()) {
+            this.dispatchParticipantOrder(objectId);
+        } else {
+            this.dispatchObjectsMoved('drag', Array.from(interaction.origins, ([id, origin]) => ({
+                objectId: id,
+                x: this.objects.get(id).x,
+                y: this.objects.get(id).y,
+                fromX: origin.x,
+                fromY: origin.y
+            })));
+        }
+    }
+
+    /**
+     * Move every selected object with the pointer; participants in the lifeline layout only slide sideways
+     */
+    dragSelection(clientX, clientY) {
+        const { pointer, origins } = this.interaction;
+        const current = this.clientToCanvas(clientX, clientY);
+        let dx = current.x - pointer.x;
+        let dy = this.isSequenceView() ? 0 : current.y - pointer.y;
+
+        // The lifeline layout re-spaces the columns on drop, so it gets no snapping
+        if (!this.isSequenceView()) {
+            ({ dx, dy } = this.adjustDragDelta(dx, dy));
+        }
+
+        origins.forEach((origin, id) => {
+            const obj = this.objects.get(id);
+            obj.x = origin.x + dx;
+            obj.y = origin.y + dy;
+            this.getObjectElement(id).setAttribute('transform', `translate(${obj.x}, ${obj.y})`);
         });
 
-        document.addEventListener('mouseup', (e) => {
-            if (this.isDragging) {
-                const svgRect = this.canvas.getBoundingClientRect();
-                const mouseX = ((e.clientX - svgRect.left) / svgRect.width) * this.canvasRect.width;
-                const mouseY = ((e.clientY - svgRect.top) / svgRect.height) * this.canvasRect.height;
-                
-                const distance = Math.sqrt(
-                    Math.pow(mouseX - startPos.x, 2) + Math.pow(mouseY - startPos.y, 2)
-                );
-                
-                // If it was more of a click than a drag, trigger click event
-                if (distance < 5 && this.selectedObject) {
-                    const clickEvent = new CustomEvent('objectClick', {
-                        detail: {
-                            objectId: this.selectedObject.getAttribute('data-id'),
-                            element: this.selectedObject
+        this.scheduleConnectionUpdate();
+    }
+
+    /**
+     * Apply grid snapping, smart guides and push-apart to a drag offset and draw the guides
+     */
+    adjustDragDelta(dx, dy) {
+        const { origins, grabbedId } = this.interaction;
+        const options = this.snapOptions;
+        const others = Array.from(this.objects.values()).filter(obj => !origins.has(obj.id));
+
+        // The grabbed box lands on the grid; the rest of the selection keeps its offsets
+        if (options.snapToGrid) {
+            const anchor = origins.get(grabbedId);
+            dx = Math.round((anchor.x + dx) / options.gridSize) * options.gridSize - anchor.x;
+            dy = Math.round((anchor.y + dy) / options.gridSize) * options.gridSize - anchor.y;
+        }
+
+        // Guides pull the selection onto nearby edges and centres unless the grid already decides
+        if (options.smartGuides && !options.snapToGrid) {
+            const threshold = this.guideThreshold / (this.getClientUnit() * this.view.scale);
+            const snap = this.findGuides(this.getMovedBounds(dx, dy), others, threshold);
+            dx += snap.dx;
+            dy += snap.dy;
+        }
+
+        if (options.pushApart) {
+            ({ dx, dy } = this.resolveOverlaps(dx, dy, others));
+        }
+
+        // Only exact alignments are drawn
+        this.renderGuides(options.smartGuides ? this.findGuides(this.getMovedBounds(dx, dy), others, 0.5).guides : []);
+        return { dx, dy };
+    }
+
+    /**
+     * Bounding box of the dragged selection at a drag offset
+     */
+    getMovedBounds(dx, dy) {
+        return this.getObjectBounds(Array.from(this.interaction.origins, ([id, origin]) => {
+            const obj = this.objects.get(id);
+            return { x: origin.x + dx, y: origin.y + dy, width: obj.width, height: obj.height };
+        }));
+    }
+
+    /**
+     * Closest edge or centre alignment per axis within threshold, and the guide lines it produces
+     * Returns { dx, dy, guides: [{ x1, y1, x2, y2 }] }
+     */
+    findGuides(bounds, others, threshold) {
+        const axes = {
+            x: { start: 'x', size: 'width', cross: 'y', crossSize: 'height' },
+            y: { start: 'y', size: 'height', cross: 'x', crossSize: 'width' }
+        };
+        const stops = (box, { start, size }) => [box[start], box[start] + box[size] / 2, box[start] + box[size]];
+        const result = { dx: 0, dy: 0, guides: [] };
+
+        Object.entries(axes).forEach(([axis, keys]) => {
+            let best = null;
+            others.forEach(obj => {
+                stops(obj, keys).forEach(target => {
+                    stops(bounds, keys).forEach(edge => {
+                        const offset = target - edge;
+                        if (Math.abs(offset) <= threshold && (!best || Math.abs(offset) < Math.abs(best))) {
+                            best = offset;
                         }
                     });
-                    this.canvas.dispatchEvent(clickEvent);
-                }
-                
-                this.isDragging = false;
-                this.selectedObject = null;
+                });
+            });
+            if (best === null) return;
+
+            result[axis === 'x' ? 'dx' : 'dy'] = best;
+            const moved = { ...bounds, [keys.start]: bounds[keys.start] + best };
+
+            // One line per aligned object, spanning both boxes across the other axis
+            others.forEach(obj => {
+                stops(obj, keys).forEach(target => {
+                    if (!stops(moved, keys).some(edge => Math.abs(edge - target) < 0.5)) return;
+
+                    const from = Math.min(obj[keys.cross], moved[keys.cross]);
+                    const to = Math.max(obj[keys.cross] + obj[keys.crossSize], moved[keys.cross] + moved[keys.crossSize]);
+                    result.guides.push(axis === 'x'
+                        ? { x1: target, y1: from, x2: target, y2: to }
+                        : { x1: from, y1: target, x2: to, y2: target });
+                });
+            });
+        });
+
+        return result;
+    }
+
+    /**
+     * Push the dragged selection out of the boxes it would overlap; boxes it already overlapped
+     * when the drag started are ignored so that it can still be pulled out of them
+     */
+    resolveOverlaps(dx, dy, others) {
+        const interaction = this.interaction;
+        const margin = this.pushMargin;
+        const overlaps = (a, b) => a.x < b.x + b.width + margin && a.x + a.width + margin > b.x &&
+            a.y < b.y + b.height + margin && a.y + a.height + margin > b.y;
+        const movedBoxes = (offsetX, offsetY) => Array.from(interaction.origins, ([id, origin]) => {
+            const obj = this.objects.get(id);
+            return { x: origin.x + offsetX, y: origin.y + offsetY, width: obj.width, height: obj.height };
+        });
+
+        if (!interaction.blockers) {
+            const start = movedBoxes(0, 0);
+            interaction.blockers = others.filter(obj => !start.some(box => overlaps(box, obj)));
+        }
+
+        // Each pass moves out of one box along the shorter way; a few passes settle chains of boxes
+        for (let pass = 0; pass < 4; pass++) {
+            let hit = null;
+            movedBoxes(dx, dy).some(box => {
+                const obj = interaction.blockers.find(other => overlaps(box, other));
+                if (obj) hit = { box, obj };
+                return Boolean(obj);
+            });
+
+            if (!hit) {
+                interaction.lastFree = { dx, dy };
+                return { dx, dy };
+            }
+
+            const { box, obj } = hit;
+            const pushX = box.x + box.width / 2 < obj.x + obj.width / 2
+                ? obj.x - margin - (box.x + box.width)
+                : obj.x + obj.width + margin - box.x;
+            const pushY = box.y + box.height / 2 < obj.y + obj.height / 2
+                ? obj.y - margin - (box.y + box.height)
+                : obj.y + obj.height + margin - box.y;
+
+            if (Math.abs(pushX) < Math.abs(pushY)) {
+                dx += pushX;
+            } else {
+                dy += pushY;
             }
+        }
+
+        // Boxed in: stay where the selection last fit
+        return interaction.lastFree || { dx: 0, dy: 0 };
+    }
+
+    /**
+     * Replace the drawn alignment guides
+     */
+    renderGuides(guides) {
+        this.guidesGroup.replaceChildren(...guides.map(guide => {
+            const line = this.createShapeElement('line', guide);
+            line.classList.add('snap-guide');
+            return line;
+        }));
+    }
+
+    /**
+     * Update drag aid options: { snapToGrid, gridSize, showGrid, smartGuides, pushApart }
+     */
+    setSnapOptions(options) {
+        Object.assign(this.snapOptions, options);
+
+        const size = this.snapOptions.gridSize;
+        this.gridPattern.setAttribute('width', size);
+        this.gridPattern.setAttribute('height', size);
+        this.gridPattern.querySelector('path').setAttribute('d', `M ${size} 0 L 0 0 0 ${size}`);
+        this.canvas.classList.toggle('show-grid', this.snapOptions.showGrid);
+    }
+
+    /**
+     * Stretch the selection box to the pointer and select every object it touches
+     */
+    updateMarquee(clientX, clientY) {
+        const interaction = this.interaction;
+        if (!interaction.box) {
+            interaction.box = this.createShapeElement('rect', { class: 'selection-box editor-overlay' });
+            this.viewport.appendChild(interaction.box);
+        }
+
+        const current = this.clientToCanvas(clientX, clientY);
+        const box = {
+            x: Math.min(interaction.origin.x, current.x),
+            y: Math.min(interaction.origin.y, current.y),
+            width: Math.abs(current.x - interaction.origin.x),
+            height: Math.abs(current.y - interaction.origin.y)
+        };
+        Object.entries(box).forEach(([key, value]) => interaction.box.setAttribute(key, value));
+
+        const inside = Array.from(this.objects.values())
+            .filter(obj => obj.x < box.x + box.width && obj.x + obj.width > box.x &&
+                obj.y < box.y + box.height && obj.y + obj.height > box.y)
+            .map(obj => obj.id);
+        this.setSelection([...interaction.baseIds, ...inside]);
+    }
+
+    /**
+     * Coalesce connection updates while dragging into one per animation frame
+     */
+    scheduleConnectionUpdate() {
+        if (this.connectionFrame) return;
+        this.connectionFrame = requestAnimationFrame(() => {
+            this.connectionFrame = null;
+            this.updateConnections();
         });
+    }
 
-        // Handle clicks outside objects to clear selection
-        this.canvas.addEventListener('click', (e) => {
-            if (!e.target.closest('.uml-object')) {
-                this.clearSelection();
+    /**
+     * Run a pending connection update now, so listeners see the final geometry
+     */
+    flushConnectionUpdate() {
+        if (!this.connectionFrame) return;
+        cancelAnimationFrame(this.connectionFrame);
+        this.connectionFrame = null;
+        this.updateConnections();
+    }
+
+    /**
+     * Begin a two-finger gesture from the current pointer positions; an object drag in progress is dropped
+     */
+    startPinch() {
+        this.cancelLongPress();
+        this.canvas.classList.remove('panning');
+        if (this.interaction && this.interaction.box) {
+            this.interaction.box.remove();
+        }
+        if (this.isDragging) {
+            this.isDragging = false;
+            this.flushConnectionUpdate();
+            this.renderGuides([]);
+        }
+        this.selectedObject = null;
+
+        const [first, second] = Array.from(this.activePointers.values());
+        const middle = this.clientToRoot((first.x + second.x) / 2, (first.y + second.y) / 2);
+
+        this.interaction = {
+            type: 'pinch',
+            distance: Math.max(1, Math.hypot(second.x - first.x, second.y - first.y)),
+            scale: this.view.scale,
+            // Diagram point between the fingers, which stays between them
+            worldX: (middle.x - this.view.x) / this.view.scale,
+            worldY: (middle.y - this.view.y) / this.view.scale
+        };
+    }
+
+    /**
+     * Zoom by the change in finger distance and pan with the finger midpoint
+     */
+    updatePinch() {
+        const [first, second] = Array.from(this.activePointers.values());
+        if (!second) return;
+
+        const { distance, scale, worldX, worldY } = this.interaction;
+        const middle = this.clientToRoot((first.x + second.x) / 2, (first.y + second.y) / 2);
+        const target = Math.max(this.minScale, Math.min(this.maxScale,
+            scale * Math.hypot(second.x - first.x, second.y - first.y) / distance));
+
+        this.setView({
+            x: middle.x - worldX * target,
+            y: middle.y - worldY * target,
+            scale: target
+        });
+    }
+
+    /**
+     * Drop a pending long-press timer (the pointer moved or was lifted first)
+     */
+    cancelLongPress() {
+        if (this.longPressTimer) {
+            clearTimeout(this.longPressTimer);
+            this.longPressTimer = null;
+        }
+    }
+
+    /**
+     * Ask for the context actions of an object (long press or right-click)
+     */
+    dispatchObjectContextMenu(objectElement, clientX, clientY) {
+        this.canvas.dispatchEvent(new CustomEvent('objectContextMenu', {
+            detail: {
+                objectId: objectElement.getAttribute('data-id'),
+                clientX,
+                clientY
+            }
+        }));
+    }
+
+    /**
+     * Report the participant order implied by the current horizontal positions
+     */
+    dispatchParticipantOrder(objectId) {
+        const order = Array.from(this.objects.values())
+            .sort((a, b) => (a.x + a.width / 2) - (b.x + b.width / 2))
+            .map(obj => obj.id);
+
+        this.canvas.dispatchEvent(new CustomEvent('participantsReordered', {
+            detail: { objectId, order }
+        }));
+    }
+
+    /**
+     * Place objects at given coordinates without a drag (undo / redo, align); positions are { id: { x, y } }
+     */
+    moveObjects(positions) {
+        Object.entries(positions).forEach(([id, { x, y }]) => {
+            const obj = this.objects.get(id);
+            const element = this.getObjectElement(id);
+            if (!obj || !element) return;
+
+            obj.x = x;
+            obj.y = y;
+            element.setAttribute('transform', `translate(${x}, ${y})`);
+        });
+        this.updateConnections();
+    }
+
+    /**
+     * Glide objects from where they are to new positions (layout runs); resolves when they arrive
+     */
+    animateObjects(positions, duration = 600) {
+        this.finishObjectAnimation();
+
+        const starts = {};
+        Object.keys(positions).forEach(id => {
+            const obj = this.objects.get(id);
+            if (obj) starts[id] = { x: obj.x, y: obj.y };
+        });
+
+        return new Promise(resolve => {
+            const animation = { positions, resolve, frame: null, startTime: null };
+            const step = (time) => {
+                if (animation.startTime === null) animation.startTime = time;
+                const progress = Math.min(1, (time - animation.startTime) / duration);
+                const eased = progress < 0.5 ? 2 * progress * progress : 1 - Math.pow(-2 * progress + 2, 2) / 2;
+
+                if (progress >= 1) {
+                    this.finishObjectAnimation();
+                    return;
+                }
+
+                const frame = {};
+                Object.entries(starts).forEach(([id, start]) => {
+                    frame[id] = {
+                        x: start.x + (positions[id].x - start.x) * eased,
+                        y: start.y + (positions[id].y - start.y) * eased
+                    };
+                });
+                this.moveObjects(frame);
+                animation.frame = requestAnimationFrame(step);
+            };
+
+            this.objectAnimation = animation;
+            animation.frame = requestAnimationFrame(step);
+        });
+    }
+
+    /**
+     * Jump a running animateObjects() to its end (a new drag, undo, re-render)
+     */
+    finishObjectAnimation() {
+        const animation = this.objectAnimation;
+        if (!animation) return;
+
+        this.objectAnimation = null;
+        cancelAnimationFrame(animation.frame);
+        this.moveObjects(animation.positions);
+        animation.resolve();
+    }
+
+    /**
+     * Report objects placed by a drag or a selection command
+     * action: 'drag' | 'nudge' | 'align' | 'distribute'; moves: [{ objectId, x, y, fromX, fromY }]
+     */
+    dispatchObjectsMoved(action, moves) {
+        this.canvas.dispatchEvent(new CustomEvent('objectsMoved', {
+            detail: { action, moves }
+        }));
+    }
+
+    /**
+     * Apply new positions to the selection and report them as one move
+     */
+    moveSelection(action, positions) {
+        const moves = Object.entries(positions)
+            .map(([id, { x, y }]) => {
+                const obj = this.objects.get(id);
+                return { objectId: id, x, y, fromX: obj.x, fromY: obj.y };
+            })
+            .filter(move => move.x !== move.fromX || move.y !== move.fromY);
+        if (moves.length === 0) return;
+
+        this.moveObjects(positions);
+        this.dispatchObjectsMoved(action, moves);
+    }
+
+    /**
+     * Move the selection by a few units (arrow keys); false when nothing can be nudged
+     */
+    nudgeSelection(dx, dy) {
+        const selected = this.getSelectedObjects();
+        if (this.isSequenceView() || selected.length === 0) return false;
+
+        this.moveSelection('nudge', Object.fromEntries(selected.map(obj => [obj.id, { x: obj.x + dx, y: obj.y + dy }])));
+        return true;
+    }
+
+    /**
+     * Line up the selection: 'left' edges, horizontal 'center's or 'top' edges; needs two objects
+     */
+    alignSelection(mode) {
+        const selected = this.getSelectedObjects();
+        if (this.isSequenceView() || selected.length < 2) return false;
+
+        const bounds = this.getObjectBounds(selected);
+        const centerX = bounds.x + bounds.width / 2;
+        const target = (obj) => {
+            switch (mode) {
+                case 'left':
+                    return { x: bounds.x, y: obj.y };
+                case 'center':
+                    return { x: centerX - obj.width / 2, y: obj.y };
+                default:
+                    return { x: obj.x, y: bounds.y };
             }
+        };
+
+        this.moveSelection('align', Object.fromEntries(selected.map(obj => [obj.id, target(obj)])));
+        return true;
+    }
+
+    /**
+     * Spread the selection so the gaps between neighbours are equal; the outermost objects stay put
+     * axis: 'horizontal' | 'vertical'; needs three objects
+     */
+    distributeSelection(axis) {
+        const selected = this.getSelectedObjects();
+        if (this.isSequenceView() || selected.length < 3) return false;
+
+        const [position, size] = axis === 'horizontal' ? ['x', 'width'] : ['y', 'height'];
+        const sorted = [...selected].sort((a, b) => a[position] - b[position]);
+        const first = sorted[0];
+        const last = sorted[sorted.length - 1];
+        const occupied = sorted.reduce((sum, obj) => sum + obj[size], 0);
+        const gap = (last[position] + last[size] - first[position] - occupied) / (sorted.length - 1);
+
+        const positions = {};
+        let offset = first[position];
+        sorted.forEach(obj => {
+            positions[obj.id] = { x: obj.x, y: obj.y, [position]: offset };
+            offset += obj[size] + gap;
+        });
+
+        this.moveSelection('distribute', positions);
+        return true;
+    }
+
+    getObjectElement(objectId) {
+        return this.objectsGroup.querySelector(`[data-id="${objectId}"]`);
+    }
+
+    getSelectedIds() {
+        return Array.from(this.selectedIds);
+    }
+
+    getSelectedObjects() {
+        return this.getSelectedIds().map(id => this.objects.get(id));
+    }
+
+    /**
+     * Replace the selection; unknown ids are dropped
+     */
+    setSelection(ids) {
+        this.selectedIds = new Set(ids.filter(id => this.objects.has(id)));
+
+        this.objectsGroup.querySelectorAll('.uml-object').forEach(element => {
+            element.classList.toggle('selected', this.selectedIds.has(element.getAttribute('data-id')));
         });
+
+        this.canvas.dispatchEvent(new CustomEvent('selectionChanged', {
+            detail: { ids: this.getSelectedIds() }
+        }));
+    }
+
+    toggleSelection(objectId) {
+        const ids = new Set(this.selectedIds);
+        if (ids.has(objectId)) {
+            ids.delete(objectId);
+        } else {
+            ids.add(objectId);
+        }
+        this.setSelection(Array.from(ids));
     }
 
     /**
      * Clear all selections
      */
     clearSelection() {
-        this.objectsGroup.querySelectorAll('.uml-object').forEach(obj => {
-            obj.classList.remove('selected');
-        });
+        this.setSelection([]);
     }
 
     /**
@@ -484,11 +2445,14 @@ class CanvasEngine {
             objectElement.classList.add(className);
             
             // Force style update to prevent black artifacts
-            const rect = objectElement.querySelector('.object-rect');
-            if (rect && className === 'highlighted') {
-                rect.style.setProperty('stroke', '#415E72', 'important');
-                rect.style.setProperty('fill', 'rgba(65, 94, 114, 0.1)', 'important');
-                rect.style.setProperty('stroke-width', '4', 'important');
+            if (className === 'highlighted') {
+                objectElement.querySelectorAll('.object-shape').forEach(shape => {
+                    shape.style.setProperty('stroke', '#415E72', 'important');
+                    if (!shape.classList.contains('object-line')) {
+                        shape.style.setProperty('fill', 'rgba(65, 94, 114, 0.1)', 'important');
+                    }
+                    shape.style.setProperty('stroke-width', '4', 'important');
+                });
             }
         }
     }
@@ -502,17 +2466,79 @@ class CanvasEngine {
             objectElement.classList.remove(className);
             
             // Reset to original styles when removing highlight
-            const rect = objectElement.querySelector('.object-rect');
-            if (rect && className === 'highlighted') {
+            if (className === 'highlighted') {
                 // Get original object data to restore colors
                 const obj = this.objects.get(objectId);
                 if (obj) {
-                    this.applyObjectTypeStyle(rect, obj.type);
+                    this.resetObjectStyle(objectElement, obj.type);
                 }
             }
         }
     }
 
+    /**
+     * Move a message token to `progress` (0..1) along its connection, creating it on first use.
+     * style: 'dot' | 'envelope' | 'pill'; a pill shows the payload inside, the others beside the glyph
+     */
+    showToken(connectionId, progress, style, payload = null) {
+        const line = this.connectionsGroup.querySelector(`[data-id="${connectionId}"] .connection-line`);
+        if (!line) return;
+
+        // A pill without text would be an empty capsule
+        const glyph = style === 'pill' && !payload ? 'dot' : style;
+        let token = this.tokensGroup.querySelector(`[data-id="${connectionId}"]`);
+        if (!token || token.getAttribute('data-style') !== glyph || token.getAttribute('data-payload') !== (payload || '')) {
+            if (token) token.remove();
+            token = this.createTokenElement(connectionId, glyph, payload);
+            this.tokensGroup.appendChild(token);
+        }
+
+        const point = line.getPointAtLength(line.getTotalLength() * Math.max(0, Math.min(1, progress)));
+        token.setAttribute('transform', `translate(${point.x}, ${point.y})`);
+    }
+
+    /**
+     * Token glyph centred on (0, 0), with an optional payload tag
+     */
+    createTokenElement(connectionId, style, payload) {
+        const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        group.classList.add('flow-token', `token-${style}`);
+        group.setAttribute('data-id', connectionId);
+        group.setAttribute('data-style', style);
+        group.setAttribute('data-payload', payload || '');
+
+        if (style === 'pill') {
+            const width = this.estimateTextWidth(payload) + 16;
+            group.appendChild(this.createShapeElement('rect', {
+                x: -width / 2, y: -9, width, height: 18, rx: 9, class: 'token-body'
+            }));
+            const text = this.createShapeElement('text', { x: 0, y: 0, class: 'token-text' });
+            text.textContent = payload;
+            group.appendChild(text);
+            return group;
+        }
+
+        if (style === 'envelope') {
+            group.appendChild(this.createShapeElement('rect', {
+                x: -8, y: -6, width: 16, height: 12, rx: 1.5, class: 'token-body'
+            }));
+            group.appendChild(this.createShapeElement('path', { d: 'M -8 -6 L 0 1 L 8 -6', class: 'token-flap' }));
+        } else {
+            group.appendChild(this.createShapeElement('circle', { cx: 0, cy: 0, r: 6, class: 'token-body' }));
+        }
+
+        if (payload) {
+            const text = this.createShapeElement('text', { x: 12, y: -10, class: 'token-payload' });
+            text.textContent = payload;
+            group.appendChild(text);
+        }
+        return group;
+    }
+
+    clearTokens() {
+        this.tokensGroup.innerHTML = '';
+    }
+
     /**
      * Highlight connection
      */
@@ -574,23 +2600,40 @@ class CanvasEngine {
      * Clear all highlights
      */
     clearAllHighlights() {
+        this.clearTokens();
+
+        // Clear fragment highlights
+        this.fragmentsGroup.querySelectorAll('.fragment').forEach(fragment => {
+            fragment.classList.remove('active');
+        });
+
+        // Show activation bars at full length again
+        this.activationsGroup.querySelectorAll('.activation').forEach(bar => {
+            bar.classList.remove('started');
+        });
+        this.updateActivations();
+
+        // Hide notes revealed by playback
+        this.notesGroup.querySelectorAll('.note').forEach(note => {
+            note.classList.remove('revealed');
+        });
+
         // Clear object highlights and restore original styles
         this.objectsGroup.querySelectorAll('.uml-object').forEach(obj => {
-            obj.classList.remove('highlighted', 'selected', 'focused');
+            obj.classList.remove('highlighted', 'focused', 'visited');
             
             // Restore original object styling
             const objectId = obj.getAttribute('data-id');
-            const rect = obj.querySelector('.object-rect');
             const objectData = this.objects.get(objectId);
             
-            if (rect && objectData) {
-                this.applyObjectTypeStyle(rect, objectData.type);
+            if (objectData) {
+                this.resetObjectStyle(obj, objectData.type);
             }
         });
 
         // Clear connection highlights and restore original styles
         this.connectionsGroup.querySelectorAll('.connection-line').forEach(line => {
-            line.classList.remove('active');
+            line.classList.remove('active', 'visited');
             
             // Restore original connection styling
             const connectionElement = line.parentElement;
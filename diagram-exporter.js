@@ -0,0 +1,162 @@
+/**
+ * Diagram Exporter - Serialize the canvas into standalone SVG and PNG files
+ */
+class DiagramExporter {
+    constructor(canvasEngine) {
+        this.canvas = canvasEngine;
+
+        // Presentation properties copied from the page stylesheet onto every exported element
+        this.styleProperties = [
+            'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity',
+            'stroke-dasharray', 'stroke-dashoffset', 'stroke-linecap', 'stroke-linejoin',
+            'opacity', 'display', 'visibility', 'marker-start', 'marker-end',
+            'font-family', 'font-size', 'font-weight', 'font-style',
+            'text-anchor', 'dominant-baseline', 'paint-order'
+        ];
+        this.backgroundColor = '#ffffff';
+    }
+
+    /**
+     * Build a standalone SVG document string of the current canvas
+     */
+    createSvgString() {
+        const source = this.canvas.canvas;
+        const clone = source.cloneNode(true);
+        const { x, y, width, height } = this.canvas.getExportBounds();
+
+        // Grid, guides and the selection box are editing aids, not part of the diagram;
+        // found before inlining, which drops the class attributes
+        const overlays = clone.querySelectorAll('.editor-overlay');
+
+        // Inline the computed styles so the file no longer depends on styles.css
+        const sourceElements = source.querySelectorAll('*');
+        const cloneElements = clone.querySelectorAll('*');
+        sourceElements.forEach((element, index) => {
+            this.inlineStyles(element, cloneElements[index]);
+        });
+        overlays.forEach(element => element.remove());
+
+        clone.removeAttribute('class');
+        clone.removeAttribute('style');
+        // The export shows the whole diagram, whatever the current zoom and pan
+        clone.querySelector('#viewport').removeAttribute('transform');
+        clone.setAttribute('viewBox', `${x} ${y} ${width} ${height}`);
+        clone.setAttribute('width', width);
+        clone.setAttribute('height', height);
+
+        // Opaque background; the page supplies white through CSS only
+        const background = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+        background.setAttribute('x', x);
+        background.setAttribute('y', y);
+        background.setAttribute('width', width);
+        background.setAttribute('height', height);
+        background.setAttribute('fill', this.backgroundColor);
+        clone.insertBefore(background, clone.firstChild);
+
+        return '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(clone);
+    }
+
+    /**
+     * Copy the computed presentation of a live element onto its clone
+     */
+    inlineStyles(element, clone) {
+        if (!clone) return;
+
+        const computed = window.getComputedStyle(element);
+        const declarations = this.styleProperties
+            .map(property => {
+                const value = computed.getPropertyValue(property);
+                return value ? `${property}: ${this.localizeUrl(value)}` : null;
+            })
+            .filter(Boolean);
+
+        clone.setAttribute('style', declarations.join('; '));
+        clone.removeAttribute('class');
+
+        // Corner radii of object boxes come from CSS, which not every viewer applies
+        if (element.tagName === 'rect') {
+            ['rx', 'ry'].forEach(property => {
+                const value = parseFloat(computed.getPropertyValue(property));
+                if (!isNaN(value)) {
+                    clone.setAttribute(property, value);
+                }
+            });
+        }
+    }
+
+    /**
+     * Turn `url("page.html#arrowhead")` marker references into document-local ones
+     */
+    localizeUrl(value) {
+        return value.replace(/url\(\s*["']?[^#"')]*#([^"')]+)["']?\s*\)/g, 'url(#$1)');
+    }
+
+    /**
+     * Rasterize the exported SVG into a PNG blob
+     */
+    createPngBlob(scale = 2) {
+        const svgString = this.createSvgString();
+        const { width, height } = this.canvas.getExportBounds();
+
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+
+            image.onload = () => {
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.round(width * scale);
+                canvas.height = Math.round(height * scale);
+
+                const context = canvas.getContext('2d');
+                context.fillStyle = this.backgroundColor;
+                context.fillRect(0, 0, canvas.width, canvas.height);
+                context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+                canvas.toBlob(blob => {
+                    if (blob) {
+                        resolve(blob);
+                    } else {
+                        reject(new Error('PNG encoding failed'));
+                    }
+                }, 'image/png');
+            };
+            image.onerror = () => reject(new Error('SVG could not be rasterized'));
+            image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svgString)}`;
+        });
+    }
+
+    /**
+     * Download the current canvas as an SVG file
+     */
+    exportSvg(filename = 'diagram.svg') {
+        const blob = new Blob([this.createSvgString()], { type: 'image/svg+xml;charset=utf-8' });
+        this.download(blob, filename);
+    }
+
+    /**
+     * Download the current canvas as a PNG file
+     */
+    async exportPng(filename = 'diagram.png', scale = 2) {
+        const blob = await this.createPngBlob(scale);
+        this.download(blob, filename);
+    }
+
+    /**
+     * Save a blob through a temporary download link
+     */
+    download(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DiagramExporter;
+}
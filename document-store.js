@@ -0,0 +1,173 @@
+/**
+ * Document Store - Named diagrams kept in localStorage
+ *
+ * Each document holds the data returned by AnimatedPlantUMLApp.createDocumentData()
+ * (source text, object positions and settings), the same shape exportDiagram() and
+ * importDiagram() use minus the parsed diagram, which is rebuilt from the source.
+ */
+class DocumentStore {
+    constructor(storageKey = 'animated-plantuml-documents') {
+        this.storageKey = storageKey;
+        this.storage = this.getStorage();
+        this.documents = [];
+        this.activeId = null;
+
+        this.load();
+    }
+
+    /**
+     * localStorage, or null when the browser blocks it (private mode, file:// in some browsers)
+     */
+    getStorage() {
+        try {
+            const storage = window.localStorage;
+            const probe = `${this.storageKey}-probe`;
+            storage.setItem(probe, probe);
+            storage.removeItem(probe);
+            return storage;
+        } catch (error) {
+            console.warn('localStorage unavailable, documents will not persist:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Whether documents survive a reload
+     */
+    get isPersistent() {
+        return this.storage !== null;
+    }
+
+    load() {
+        if (!this.storage) return;
+
+        try {
+            const saved = JSON.parse(this.storage.getItem(this.storageKey) || 'null');
+            if (saved && Array.isArray(saved.documents)) {
+                this.documents = saved.documents;
+                this.activeId = saved.activeId;
+            }
+        } catch (error) {
+            console.error('Stored documents could not be read:', error);
+        }
+    }
+
+    save() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify({
+                activeId: this.activeId,
+                documents: this.documents
+            }));
+        } catch (error) {
+            // Quota exceeded: keep working in memory
+            console.error('Documents could not be saved:', error);
+        }
+    }
+
+    list() {
+        return this.documents;
+    }
+
+    get(id) {
+        return this.documents.find(doc => doc.id === id) || null;
+    }
+
+    /**
+     * The document that was open last, falling back to the first one
+     */
+    getActive() {
+        return this.get(this.activeId) || this.documents[0] || null;
+    }
+
+    setActive(id) {
+        this.activeId = id;
+        this.save();
+    }
+
+    /**
+     * Add a document and make it the active one
+     */
+    create(name, data) {
+        const now = new Date().toISOString();
+        const doc = {
+            id: `doc-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+            name: this.getUniqueName(name),
+            createdAt: now,
+            updatedAt: now,
+            data
+        };
+
+        this.documents.push(doc);
+        this.activeId = doc.id;
+        this.save();
+        return doc;
+    }
+
+    /**
+     * Replace a document's data (autosave)
+     */
+    update(id, data) {
+        const doc = this.get(id);
+        if (!doc) return null;
+
+        // Opening a document re-saves it; only real edits move updatedAt
+        const content = (value) => JSON.stringify({ ...value, timestamp: null });
+        if (content(doc.data) === content(data)) return doc;
+
+        doc.data = data;
+        doc.updatedAt = new Date().toISOString();
+        this.save();
+        return doc;
+    }
+
+    rename(id, name) {
+        const doc = this.get(id);
+        if (!doc || !name.trim()) return null;
+
+        doc.name = this.getUniqueName(name.trim(), id);
+        doc.updatedAt = new Date().toISOString();
+        this.save();
+        return doc;
+    }
+
+    duplicate(id) {
+        const doc = this.get(id);
+        if (!doc) return null;
+
+        return this.create(`${doc.name} 사본`, JSON.parse(JSON.stringify(doc.data)));
+    }
+
+    /**
+     * Delete a document; the active one moves to a neighbour
+     */
+    remove(id) {
+        const index = this.documents.findIndex(doc => doc.id === id);
+        if (index === -1) return;
+
+        this.documents.splice(index, 1);
+        if (this.activeId === id) {
+            const next = this.documents[Math.min(index, this.documents.length - 1)];
+            this.activeId = next ? next.id : null;
+        }
+        this.save();
+    }
+
+    /**
+     * Append a counter when another document already uses the name
+     */
+    getUniqueName(name, ignoreId = null) {
+        const taken = new Set(this.documents.filter(doc => doc.id !== ignoreId).map(doc => doc.name));
+        if (!taken.has(name)) return name;
+
+        let counter = 2;
+        while (taken.has(`${name} (${counter})`)) counter++;
+        return `${name} (${counter})`;
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DocumentStore;
+}
@@ -0,0 +1,269 @@
+/**
+ * Edge Router - Connection paths that go around object boxes
+ *
+ * Routes are orthogonal polylines found with A* on a sparse grid made of the lines just
+ * outside every box; a spline is drawn through the corners of the same route.
+ * Boxes are { x, y, width, height } with x / y as the top-left corner.
+ */
+class EdgeRouter {
+    constructor(margin = 16, bendPenalty = 40, cornerRadius = 10) {
+        this.margin = margin;
+        this.bendPenalty = bendPenalty;
+        this.cornerRadius = cornerRadius;
+    }
+
+    static get directions() {
+        return [
+            { x: 1, y: 0 },
+            { x: -1, y: 0 },
+            { x: 0, y: 1 },
+            { x: 0, y: -1 }
+        ];
+    }
+
+    /**
+     * Points from the edge of `from` to the edge of `to` that keep clear of every obstacle;
+     * `offset` slides both ends along their sides (messages bundled between the same pair)
+     */
+    route(from, to, obstacles, offset = 0) {
+        const { fromSide, toSide } = this.chooseSides(from, to);
+        const start = this.getPort(from, fromSide, offset);
+        const end = this.getPort(to, toSide, offset);
+
+        const corners = this.findPath(start.stub, end.stub, start.direction, end.direction, obstacles)
+            || [start.stub, { x: end.stub.x, y: start.stub.y }, end.stub];
+
+        return this.simplify([start.point, ...corners, end.point]);
+    }
+
+    /**
+     * Leave and enter through the sides that face each other
+     */
+    chooseSides(from, to) {
+        const dx = (to.x + to.width / 2) - (from.x + from.width / 2);
+        const dy = (to.y + to.height / 2) - (from.y + from.height / 2);
+        const gapX = Math.max(to.x - (from.x + from.width), from.x - (to.x + to.width));
+        const gapY = Math.max(to.y - (from.y + from.height), from.y - (to.y + to.height));
+        const horizontal = gapX > 0 && gapY > 0 ? Math.abs(dx) >= Math.abs(dy) : gapX >= gapY;
+
+        if (horizontal) {
+            return dx >= 0 ? { fromSide: 'right', toSide: 'left' } : { fromSide: 'left', toSide: 'right' };
+        }
+        return dy >= 0 ? { fromSide: 'bottom', toSide: 'top' } : { fromSide: 'top', toSide: 'bottom' };
+    }
+
+    /**
+     * Point on a side, the stub just outside the margin and the outward direction
+     */
+    getPort(box, side, offset) {
+        const horizontalSide = side === 'top' || side === 'bottom';
+        const half = (horizontalSide ? box.width : box.height) / 2;
+        const shift = Math.max(-half + 4, Math.min(half - 4, offset));
+        const direction = {
+            left: { x: -1, y: 0 },
+            right: { x: 1, y: 0 },
+            top: { x: 0, y: -1 },
+            bottom: { x: 0, y: 1 }
+        }[side];
+
+        const point = {
+            x: Math.round(side === 'left' ? box.x : side === 'right' ? box.x + box.width : box.x + box.width / 2 + shift),
+            y: Math.round(side === 'top' ? box.y : side === 'bottom' ? box.y + box.height : box.y + box.height / 2 + shift)
+        };
+
+        return {
+            point,
+            stub: { x: point.x + direction.x * this.margin, y: point.y + direction.y * this.margin },
+            direction
+        };
+    }
+
+    /**
+     * A* over the grid of lines just outside the boxes; turning costs extra so routes stay simple.
+     * Returns the route's points, or null when the boxes wall it off
+     */
+    findPath(start, end, startDirection, endDirection, obstacles) {
+        const blockers = obstacles.map(box => ({
+            left: box.x - this.margin + 1,
+            right: box.x + box.width + this.margin - 1,
+            top: box.y - this.margin + 1,
+            bottom: box.y + box.height + this.margin - 1
+        }));
+        const blocked = (x, y) => blockers.some(b => x > b.left && x < b.right && y > b.top && y < b.bottom);
+        const segmentBlocked = (a, b) => blockers.some(r =>
+            Math.max(a.x, b.x) > r.left && Math.min(a.x, b.x) < r.right &&
+            Math.max(a.y, b.y) > r.top && Math.min(a.y, b.y) < r.bottom);
+
+        const unique = (values) => [...new Set(values.map(value => Math.round(value)))].sort((a, b) => a - b);
+        const xs = unique([start.x, end.x, (start.x + end.x) / 2,
+            ...obstacles.flatMap(box => [box.x - this.margin, box.x + box.width + this.margin])]);
+        const ys = unique([start.y, end.y, (start.y + end.y) / 2,
+            ...obstacles.flatMap(box => [box.y - this.margin, box.y + box.height + this.margin])]);
+
+        const startCell = { i: xs.indexOf(Math.round(start.x)), j: ys.indexOf(Math.round(start.y)) };
+        const endCell = { i: xs.indexOf(Math.round(end.x)), j: ys.indexOf(Math.round(end.y)) };
+        const directions = EdgeRouter.directions;
+        const directionIndex = (direction) => directions.findIndex(d => d.x === direction.x && d.y === direction.y);
+        const finalDirection = directionIndex({ x: -endDirection.x, y: -endDirection.y });
+
+        // States are a grid cell plus the direction we arrived in
+        const key = (i, j, d) => (j * xs.length + i) * 4 + d;
+        const best = new Map();
+        const previous = new Map();
+        const heap = [];
+        const push = (item) => {
+            heap.push(item);
+            let index = heap.length - 1;
+            while (index > 0) {
+                const parent = (index - 1) >> 1;
+                if (heap[parent].estimate <= item.estimate) break;
+                heap[index] = heap[parent];
+                index = parent;
+            }
+            heap[index] = item;
+        };
+        const pop = () => {
+            const top = heap[0];
+            const last = heap.pop();
+            if (heap.length > 0) {
+                let index = 0;
+                while (true) {
+                    let child = index * 2 + 1;
+                    if (child >= heap.length) break;
+                    if (child + 1 < heap.length && heap[child + 1].estimate < heap[child].estimate) child++;
+                    if (heap[child].estimate >= last.estimate) break;
+                    heap[index] = heap[child];
+                    index = child;
+                }
+                heap[index] = last;
+            }
+            return top;
+        };
+        const heuristic = (i, j) => Math.abs(xs[i] - xs[endCell.i]) + Math.abs(ys[j] - ys[endCell.j]);
+
+        const startKey = key(startCell.i, startCell.j, directionIndex(startDirection));
+        best.set(startKey, 0);
+        push({ ...startCell, d: directionIndex(startDirection), cost: 0, estimate: heuristic(startCell.i, startCell.j) });
+
+        while (heap.length > 0) {
+            const current = pop();
+            const currentKey = key(current.i, current.j, current.d);
+            if (current.cost > best.get(currentKey)) continue;
+
+            if (current.i === endCell.i && current.j === endCell.j) {
+                const points = [];
+                for (let state = currentKey; state !== undefined; state = previous.get(state)) {
+                    const cell = Math.floor(state / 4);
+                    points.unshift({ x: xs[cell % xs.length], y: ys[Math.floor(cell / xs.length)] });
+                }
+                return points;
+            }
+
+            directions.forEach((direction, d) => {
+                const i = current.i + direction.x;
+                const j = current.j + direction.y;
+                if (i < 0 || j < 0 || i >= xs.length || j >= ys.length) return;
+
+                const from = { x: xs[current.i], y: ys[current.j] };
+                const to = { x: xs[i], y: ys[j] };
+                if (blocked(to.x, to.y) || segmentBlocked(from, to)) return;
+
+                // Arriving sideways means one more turn into the box
+                const arrivesSideways = i === endCell.i && j === endCell.j && d !== finalDirection;
+                const cost = current.cost + Math.abs(to.x - from.x) + Math.abs(to.y - from.y) +
+                    (d === current.d ? 0 : this.bendPenalty) + (arrivesSideways ? this.bendPenalty : 0);
+                const nextKey = key(i, j, d);
+                if (best.has(nextKey) && best.get(nextKey) <= cost) return;
+
+                best.set(nextKey, cost);
+                previous.set(nextKey, currentKey);
+                push({ i, j, d, cost, estimate: cost + heuristic(i, j) });
+            });
+        }
+
+        return null;
+    }
+
+    /**
+     * Drop repeated points and points in the middle of a straight run
+     */
+    simplify(points) {
+        const result = [];
+        points.forEach(point => {
+            const last = result[result.length - 1];
+            if (last && last.x === point.x && last.y === point.y) return;
+
+            const beforeLast = result[result.length - 2];
+            if (beforeLast && last &&
+                ((beforeLast.x === last.x && last.x === point.x) || (beforeLast.y === last.y && last.y === point.y))) {
+                result[result.length - 1] = point;
+                return;
+            }
+            result.push(point);
+        });
+        return result;
+    }
+
+    /**
+     * SVG path data: 'orthogonal' rounds the corners, 'spline' passes smoothly through them
+     */
+    toPathData(points, style = 'orthogonal') {
+        const [first, ...rest] = points;
+        let d = `M ${first.x} ${first.y}`;
+
+        if (style === 'spline') {
+            // Catmull-Rom through every point, as cubic Béziers
+            for (let i = 0; i < points.length - 1; i++) {
+                const p0 = points[Math.max(0, i - 1)];
+                const p1 = points[i];
+                const p2 = points[i + 1];
+                const p3 = points[Math.min(points.length - 1, i + 2)];
+                const c1 = { x: p1.x + (p2.x - p0.x) / 6, y: p1.y + (p2.y - p0.y) / 6 };
+                const c2 = { x: p2.x - (p3.x - p1.x) / 6, y: p2.y - (p3.y - p1.y) / 6 };
+                d += ` C ${c1.x} ${c1.y}, ${c2.x} ${c2.y}, ${p2.x} ${p2.y}`;
+            }
+            return d;
+        }
+
+        rest.forEach((corner, index) => {
+            const next = rest[index + 1];
+            if (!next) {
+                d += ` L ${corner.x} ${corner.y}`;
+                return;
+            }
+
+            const before = index === 0 ? first : rest[index - 1];
+            const inLength = Math.hypot(corner.x - before.x, corner.y - before.y) || 1;
+            const outLength = Math.hypot(next.x - corner.x, next.y - corner.y) || 1;
+            const radius = Math.min(this.cornerRadius, inLength / 2, outLength / 2);
+            const enter = {
+                x: corner.x - ((corner.x - before.x) / inLength) * radius,
+                y: corner.y - ((corner.y - before.y) / inLength) * radius
+            };
+            const leave = {
+                x: corner.x + ((next.x - corner.x) / outLength) * radius,
+                y: corner.y + ((next.y - corner.y) / outLength) * radius
+            };
+            d += ` L ${enter.x} ${enter.y} Q ${corner.x} ${corner.y} ${leave.x} ${leave.y}`;
+        });
+        return d;
+    }
+
+    /**
+     * Whether a route comes within the margin of a box (a moved box makes the route stale)
+     */
+    touches(points, box) {
+        return points.slice(1).some((point, i) => {
+            const a = points[i];
+            return Math.max(a.x, point.x) >= box.x - this.margin &&
+                Math.min(a.x, point.x) <= box.x + box.width + this.margin &&
+                Math.max(a.y, point.y) >= box.y - this.margin &&
+                Math.min(a.y, point.y) <= box.y + box.height + this.margin;
+        });
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EdgeRouter;
+}
@@ -0,0 +1,125 @@
+/**
+ * Editor Diagnostics - Line-number gutter with problem markers and a clickable problems list
+ */
+class EditorDiagnostics {
+    constructor(textareaId, gutterId, problemsId) {
+        this.textarea = document.getElementById(textareaId);
+        this.gutter = document.getElementById(gutterId);
+        this.problems = document.getElementById(problemsId);
+        this.diagnostics = [];
+
+        this.severityIcons = { error: '⛔', warning: '⚠️', info: 'ℹ️' };
+        this.severityRank = { error: 0, warning: 1, info: 2 };
+
+        this.textarea.addEventListener('input', () => this.renderGutter());
+        this.textarea.addEventListener('scroll', () => this.syncScroll());
+
+        this.renderGutter();
+        this.renderProblems();
+    }
+
+    /**
+     * Replace the shown diagnostics with the result of the latest parse
+     */
+    setDiagnostics(diagnostics = []) {
+        this.diagnostics = diagnostics;
+        this.renderGutter();
+        this.renderProblems();
+    }
+
+    /**
+     * Draw one gutter row per source line; lines with problems show their worst severity
+     */
+    renderGutter() {
+        const lineCount = this.textarea.value.split('\n').length;
+        const byLine = new Map();
+
+        this.diagnostics.forEach(diagnostic => {
+            const list = byLine.get(diagnostic.line) || [];
+            list.push(diagnostic);
+            byLine.set(diagnostic.line, list);
+        });
+
+        const fragment = document.createDocumentFragment();
+        for (let line = 1; line <= lineCount; line++) {
+            const row = document.createElement('div');
+            row.className = 'gutter-line';
+            row.textContent = line;
+
+            const problems = byLine.get(line);
+            if (problems) {
+                const worst = this.getWorstSeverity(problems);
+                row.classList.add(`has-${worst}`);
+                row.title = problems.map(problem => problem.message).join('\n');
+                row.addEventListener('click', () => this.reveal(problems[0]));
+            }
+
+            fragment.appendChild(row);
+        }
+
+        this.gutter.replaceChildren(fragment);
+        this.syncScroll();
+    }
+
+    /**
+     * List every diagnostic under a count header
+     */
+    renderProblems() {
+        const header = this.problems.querySelector('.problems-header');
+        const list = this.problems.querySelector('.problems-items');
+        const counts = { error: 0, warning: 0, info: 0 };
+        this.diagnostics.forEach(diagnostic => counts[diagnostic.severity]++);
+
+        header.textContent = this.diagnostics.length === 0
+            ? '✅ 문제 없음'
+            : `문제 ${this.diagnostics.length}개 (오류 ${counts.error}, 경고 ${counts.warning}, 정보 ${counts.info})`;
+
+        list.replaceChildren(...this.diagnostics.map(diagnostic => {
+            const item = document.createElement('li');
+            item.className = `problem-item ${diagnostic.severity}`;
+            item.textContent = `${this.severityIcons[diagnostic.severity]} ${diagnostic.line}:${diagnostic.startColumn} ${diagnostic.message}`;
+            item.addEventListener('click', () => this.reveal(diagnostic));
+            return item;
+        }));
+    }
+
+    getWorstSeverity(diagnostics) {
+        return diagnostics
+            .map(diagnostic => diagnostic.severity)
+            .sort((a, b) => this.severityRank[a] - this.severityRank[b])[0];
+    }
+
+    /**
+     * Select the reported range in the editor and scroll it into view
+     */
+    reveal(diagnostic) {
+        const lines = this.textarea.value.split('\n');
+        const lineStart = lines
+            .slice(0, diagnostic.line - 1)
+            .reduce((offset, line) => offset + line.length + 1, 0);
+        const lineLength = (lines[diagnostic.line - 1] || '').length;
+
+        const start = lineStart + Math.min(diagnostic.startColumn - 1, lineLength);
+        const end = lineStart + Math.min(diagnostic.endColumn - 1, lineLength);
+
+        this.textarea.focus();
+        this.textarea.setSelectionRange(start, end);
+
+        const lineHeight = parseFloat(window.getComputedStyle(this.textarea).lineHeight) || 21;
+        const top = (diagnostic.line - 1) * lineHeight;
+        this.textarea.scrollTop = Math.max(0, top - this.textarea.clientHeight / 2);
+        this.syncScroll();
+    }
+
+    /**
+     * Keep the gutter aligned with the textarea while it scrolls
+     */
+    syncScroll() {
+        this.gutter.scrollTop = this.textarea.scrollTop;
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EditorDiagnostics;
+}
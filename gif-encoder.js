@@ -0,0 +1,236 @@
+/**
+ * GIF Encoder - Minimal animated GIF89a writer for RGBA frames
+ */
+class GifEncoder {
+    constructor(width, height, repeat = 0) {
+        this.width = width;
+        this.height = height;
+        this.chunks = [];
+
+        this.writeHeader(repeat);
+    }
+
+    /**
+     * Header, logical screen and looping (NETSCAPE2.0) extension
+     */
+    writeHeader(repeat) {
+        const bytes = [];
+        this.pushString(bytes, 'GIF89a');
+        this.pushWord(bytes, this.width);
+        this.pushWord(bytes, this.height);
+        // No global color table; every frame carries its own palette
+        bytes.push(0x00, 0x00, 0x00);
+
+        bytes.push(0x21, 0xFF, 0x0B);
+        this.pushString(bytes, 'NETSCAPE2.0');
+        bytes.push(0x03, 0x01);
+        this.pushWord(bytes, repeat);
+        bytes.push(0x00);
+
+        this.chunks.push(new Uint8Array(bytes));
+    }
+
+    /**
+     * Append one frame; `delay` is in hundredths of a second
+     */
+    addFrame(rgba, delay) {
+        const { palette, indices } = this.quantize(rgba);
+        const tableBits = Math.max(1, Math.ceil(Math.log2(palette.length)));
+        const bytes = [];
+
+        // Graphic control extension: keep the previous frame, no transparency
+        bytes.push(0x21, 0xF9, 0x04, 0x04);
+        this.pushWord(bytes, Math.max(2, Math.round(delay)));
+        bytes.push(0x00, 0x00);
+
+        // Image descriptor with a local color table
+        bytes.push(0x2C);
+        this.pushWord(bytes, 0);
+        this.pushWord(bytes, 0);
+        this.pushWord(bytes, this.width);
+        this.pushWord(bytes, this.height);
+        bytes.push(0x80 | (tableBits - 1));
+
+        for (let i = 0; i < (1 << tableBits); i++) {
+            const color = palette[i] || [0, 0, 0];
+            bytes.push(color[0], color[1], color[2]);
+        }
+
+        const minCodeSize = Math.max(2, tableBits);
+        bytes.push(minCodeSize);
+        this.chunks.push(new Uint8Array(bytes));
+        this.chunks.push(this.packSubBlocks(this.lzwEncode(indices, minCodeSize)));
+    }
+
+    /**
+     * Close the stream and return the file
+     */
+    finish() {
+        this.chunks.push(new Uint8Array([0x3B]));
+        return new Blob(this.chunks, { type: 'image/gif' });
+    }
+
+    /**
+     * Reduce a frame to at most 256 colors: the most frequent 15-bit buckets, nearest match for the rest
+     */
+    quantize(rgba) {
+        const pixelCount = rgba.length / 4;
+        const counts = new Uint32Array(32768);
+        const sums = new Float64Array(32768 * 3);
+        const keys = new Uint16Array(pixelCount);
+
+        for (let i = 0; i < pixelCount; i++) {
+            const r = rgba[i * 4];
+            const g = rgba[i * 4 + 1];
+            const b = rgba[i * 4 + 2];
+            const key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+            keys[i] = key;
+            counts[key]++;
+            sums[key * 3] += r;
+            sums[key * 3 + 1] += g;
+            sums[key * 3 + 2] += b;
+        }
+
+        const buckets = [];
+        for (let key = 0; key < 32768; key++) {
+            if (counts[key] > 0) buckets.push(key);
+        }
+        buckets.sort((a, b) => counts[b] - counts[a]);
+
+        const palette = buckets.slice(0, 256).map(key => [
+            Math.round(sums[key * 3] / counts[key]),
+            Math.round(sums[key * 3 + 1] / counts[key]),
+            Math.round(sums[key * 3 + 2] / counts[key])
+        ]);
+
+        // Map every bucket once; buckets outside the palette take the nearest entry
+        const lookup = new Int16Array(32768).fill(-1);
+        buckets.slice(0, 256).forEach((key, index) => {
+            lookup[key] = index;
+        });
+
+        const indices = new Uint8Array(pixelCount);
+        for (let i = 0; i < pixelCount; i++) {
+            const key = keys[i];
+            if (lookup[key] === -1) {
+                lookup[key] = this.nearestColor(palette, (key >> 10) << 3, ((key >> 5) & 31) << 3, (key & 31) << 3);
+            }
+            indices[i] = lookup[key];
+        }
+
+        return { palette, indices };
+    }
+
+    /**
+     * Index of the palette entry closest to a color
+     */
+    nearestColor(palette, r, g, b) {
+        let best = 0;
+        let bestDistance = Infinity;
+
+        palette.forEach((color, index) => {
+            const distance = (color[0] - r) ** 2 + (color[1] - g) ** 2 + (color[2] - b) ** 2;
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = index;
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * Variable-length LZW compression as used by GIF image data
+     */
+    lzwEncode(indices, minCodeSize) {
+        const clearCode = 1 << minCodeSize;
+        const endCode = clearCode + 1;
+        const output = [];
+        const table = new Map();
+
+        let codeSize = minCodeSize + 1;
+        let nextCode = endCode + 1;
+        let buffer = 0;
+        let bufferBits = 0;
+
+        const emit = (code) => {
+            buffer |= code << bufferBits;
+            bufferBits += codeSize;
+            while (bufferBits >= 8) {
+                output.push(buffer & 0xFF);
+                buffer >>>= 8;
+                bufferBits -= 8;
+            }
+        };
+
+        emit(clearCode);
+
+        let prefix = indices[0];
+        for (let i = 1; i < indices.length; i++) {
+            const pixel = indices[i];
+            const key = (prefix << 8) | pixel;
+
+            if (table.has(key)) {
+                prefix = table.get(key);
+                continue;
+            }
+
+            emit(prefix);
+
+            if (nextCode < 4096) {
+                if (nextCode >= (1 << codeSize)) codeSize++;
+                table.set(key, nextCode++);
+            } else {
+                // Table full: start over
+                emit(clearCode);
+                table.clear();
+                codeSize = minCodeSize + 1;
+                nextCode = endCode + 1;
+            }
+
+            prefix = pixel;
+        }
+
+        emit(prefix);
+        emit(endCode);
+        if (bufferBits > 0) {
+            output.push(buffer & 0xFF);
+        }
+
+        return output;
+    }
+
+    /**
+     * Split image data into the 255-byte sub-blocks GIF expects
+     */
+    packSubBlocks(data) {
+        const blockCount = Math.ceil(data.length / 255);
+        const bytes = new Uint8Array(data.length + blockCount + 1);
+        let offset = 0;
+
+        for (let i = 0; i < data.length; i += 255) {
+            const block = data.slice(i, i + 255);
+            bytes[offset++] = block.length;
+            bytes.set(block, offset);
+            offset += block.length;
+        }
+        bytes[offset] = 0x00;
+
+        return bytes;
+    }
+
+    pushWord(bytes, value) {
+        bytes.push(value & 0xFF, (value >> 8) & 0xFF);
+    }
+
+    pushString(bytes, text) {
+        for (let i = 0; i < text.length; i++) {
+            bytes.push(text.charCodeAt(i));
+        }
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GifEncoder;
+}
@@ -0,0 +1,122 @@
+/**
+ * History Manager - Undo/redo stack of editor commands
+ *
+ * A command is { label, before, after, apply(state), mergeKey? }: undo applies `before`,
+ * redo applies `after`. Pushing a command with the same mergeKey as the one just pushed
+ * extends that entry instead of adding a new one (e.g. repeated drags of one object).
+ */
+class HistoryManager {
+    constructor(onChange = () => {}, limit = 100) {
+        this.onChange = onChange;
+        this.limit = limit;
+        this.entries = [];
+        // Number of entries currently applied; entries past it can be redone
+        this.index = 0;
+        this.isApplying = false;
+        this.canMerge = false;
+    }
+
+    /**
+     * Record a command that has already been performed; anything that was undone is dropped
+     */
+    push(command) {
+        const top = this.entries[this.index - 1];
+        if (this.canMerge && command.mergeKey && top && top.mergeKey === command.mergeKey) {
+            top.after = command.after;
+            top.time = Date.now();
+            this.onChange();
+            return top;
+        }
+
+        const entry = { ...command, time: Date.now() };
+        this.entries.splice(this.index, this.entries.length - this.index, entry);
+        if (this.entries.length > this.limit) {
+            this.entries.shift();
+        }
+        this.index = this.entries.length;
+        this.canMerge = true;
+        this.onChange();
+        return entry;
+    }
+
+    canUndo() {
+        return this.index > 0;
+    }
+
+    canRedo() {
+        return this.index < this.entries.length;
+    }
+
+    /**
+     * Revert the last applied entry; returns it, or null when there is nothing to undo
+     */
+    undo() {
+        if (!this.canUndo()) return null;
+
+        const entry = this.entries[this.index - 1];
+        this.apply(entry, entry.before);
+        this.index--;
+        this.onChange();
+        return entry;
+    }
+
+    redo() {
+        if (!this.canRedo()) return null;
+
+        const entry = this.entries[this.index];
+        this.apply(entry, entry.after);
+        this.index++;
+        this.onChange();
+        return entry;
+    }
+
+    /**
+     * Undo or redo until `index` entries are applied (history panel)
+     */
+    goTo(index) {
+        const target = Math.max(0, Math.min(this.entries.length, index));
+        if (target === this.index) return;
+
+        // Only the final state matters, but each entry restores its own part of it
+        while (this.index > target) {
+            const entry = this.entries[this.index - 1];
+            this.apply(entry, entry.before);
+            this.index--;
+        }
+        while (this.index < target) {
+            const entry = this.entries[this.index];
+            this.apply(entry, entry.after);
+            this.index++;
+        }
+        this.onChange();
+    }
+
+    /**
+     * Run a command's apply with recording suspended, so the change it makes is not pushed again
+     */
+    apply(entry, state) {
+        this.isApplying = true;
+        this.canMerge = false;
+        try {
+            entry.apply(state);
+        } finally {
+            this.isApplying = false;
+        }
+    }
+
+    clear() {
+        this.entries = [];
+        this.index = 0;
+        this.canMerge = false;
+        this.onChange();
+    }
+
+    getEntries() {
+        return this.entries;
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HistoryManager;
+}
@@ -0,0 +1,514 @@
+/**
+ * Layout Engine - Connection-aware placement for the free view
+ *
+ * Algorithms move objects in place (x / y are top-left corners, as everywhere else) and try
+ * to keep connections from crossing. Only connections between two different objects count;
+ * repeated messages between the same pair act as one heavier edge.
+ */
+class LayoutEngine {
+    constructor() {
+        this.padding = 50;
+        this.nodeGap = 60;
+        this.layerGap = 90;
+        this.forceIterations = 300;
+    }
+
+    static get algorithms() {
+        return ['force', 'layered', 'circular'];
+    }
+
+    /**
+     * Arrange objects with 'force', 'layered' or 'circular' and fit them into the canvas area
+     */
+    layout(objects, connections, algorithm, width = 800, height = 600) {
+        if (objects.length === 0) return objects;
+
+        const graph = this.buildGraph(objects, connections);
+        switch (algorithm) {
+            case 'force':
+                this.forceLayout(graph, width, height);
+                break;
+            case 'layered':
+                this.layeredLayout(graph);
+                break;
+            case 'circular':
+                this.circularLayout(graph);
+                break;
+            default:
+                throw new Error(`Unknown layout algorithm: ${algorithm}`);
+        }
+
+        this.fitToArea(objects, width, height);
+        return objects;
+    }
+
+    /**
+     * Nodes are the objects; edges follow the message direction (like the animator's flowGraph)
+     */
+    buildGraph(objects, connections) {
+        const known = new Map(objects.map(obj => [obj.id, obj]));
+        const weights = new Map();
+
+        connections.forEach(conn => {
+            if (!known.has(conn.from) || !known.has(conn.to) || conn.from === conn.to) return;
+
+            const targets = weights.get(conn.from) || new Map();
+            targets.set(conn.to, (targets.get(conn.to) || 0) + 1);
+            weights.set(conn.from, targets);
+        });
+
+        const edges = [];
+        weights.forEach((targets, fromId) => {
+            targets.forEach((weight, toId) => {
+                edges.push({ from: known.get(fromId), to: known.get(toId), weight });
+            });
+        });
+
+        return { nodes: objects, edges };
+    }
+
+    /**
+     * Fruchterman-Reingold on box centres, started from the circular layout so the result is
+     * deterministic, then overlaps are separated and crossing pairs swapped
+     */
+    forceLayout(graph, width, height) {
+        const { nodes, edges } = graph;
+        this.circularLayout(graph);
+        if (nodes.length < 2) return;
+
+        const centers = new Map(nodes.map(obj => [obj, this.getCenter(obj)]));
+        const averageSize = nodes.reduce((sum, obj) => sum + Math.hypot(obj.width, obj.height), 0) / nodes.length;
+        const k = Math.max(averageSize + this.nodeGap, Math.sqrt((width * height) / nodes.length) * 0.8);
+        let temperature = k;
+
+        for (let iteration = 0; iteration < this.forceIterations; iteration++) {
+            const forces = new Map(nodes.map(obj => [obj, { x: 0, y: 0 }]));
+
+            // Every pair repels
+            for (let i = 0; i < nodes.length; i++) {
+                for (let j = i + 1; j < nodes.length; j++) {
+                    const a = centers.get(nodes[i]);
+                    const b = centers.get(nodes[j]);
+                    const dx = a.x - b.x || 0.01 * (i - j);
+                    const dy = a.y - b.y;
+                    const distance = Math.max(1, Math.hypot(dx, dy));
+                    const force = (k * k) / distance;
+
+                    forces.get(nodes[i]).x += (dx / distance) * force;
+                    forces.get(nodes[i]).y += (dy / distance) * force;
+                    forces.get(nodes[j]).x -= (dx / distance) * force;
+                    forces.get(nodes[j]).y -= (dy / distance) * force;
+                }
+            }
+
+            // Connected boxes attract, more strongly when they exchange more messages
+            edges.forEach(({ from, to, weight }) => {
+                const a = centers.get(from);
+                const b = centers.get(to);
+                const dx = a.x - b.x;
+                const dy = a.y - b.y;
+                const distance = Math.max(1, Math.hypot(dx, dy));
+                const force = ((distance * distance) / k) * Math.sqrt(weight);
+
+                forces.get(from).x -= (dx / distance) * force;
+                forces.get(from).y -= (dy / distance) * force;
+                forces.get(to).x += (dx / distance) * force;
+                forces.get(to).y += (dy / distance) * force;
+            });
+
+            // Weak gravity keeps unconnected parts from drifting apart
+            nodes.forEach(obj => {
+                const center = centers.get(obj);
+                const force = forces.get(obj);
+                force.x -= center.x * 0.05;
+                force.y -= center.y * 0.05;
+
+                const length = Math.max(1, Math.hypot(force.x, force.y));
+                const step = Math.min(length, temperature);
+                center.x += (force.x / length) * step;
+                center.y += (force.y / length) * step;
+            });
+
+            temperature = k * (1 - (iteration + 1) / this.forceIterations) + 1;
+        }
+
+        centers.forEach((center, obj) => this.setCenter(obj, center));
+        this.separateOverlaps(nodes);
+        this.swapToReduceCrossings(graph);
+        this.separateOverlaps(nodes);
+    }
+
+    /**
+     * Sugiyama-style layers from top to bottom in message direction:
+     * break cycles, assign longest-path layers, order each layer by barycenter sweeps
+     */
+    layeredLayout({ nodes, edges }) {
+        const acyclic = this.removeCycles(nodes, edges);
+        const layerOf = this.assignLayers(nodes, acyclic);
+
+        // Long edges get one placeholder per skipped layer, so crossings are only between neighbouring layers
+        const layers = [];
+        nodes.forEach(obj => {
+            const layer = layerOf.get(obj);
+            (layers[layer] = layers[layer] || []).push(obj);
+        });
+
+        const segments = [];
+        acyclic.forEach(({ from, to }) => {
+            let upper = from;
+            for (let layer = layerOf.get(from) + 1; layer < layerOf.get(to); layer++) {
+                const dummy = { dummy: true, width: 0, height: 0 };
+                layers[layer].push(dummy);
+                segments.push({ upper, lower: dummy, layer: layer - 1 });
+                upper = dummy;
+            }
+            segments.push({ upper, lower: to, layer: layerOf.get(to) - 1 });
+        });
+
+        const upperNeighbours = new Map();
+        const lowerNeighbours = new Map();
+        segments.forEach(({ upper, lower }) => {
+            upperNeighbours.set(lower, [...(upperNeighbours.get(lower) || []), upper]);
+            lowerNeighbours.set(upper, [...(lowerNeighbours.get(upper) || []), lower]);
+        });
+
+        this.orderLayers(layers, segments, upperNeighbours, lowerNeighbours);
+        this.placeLayers(layers, upperNeighbours);
+    }
+
+    /**
+     * Reverse the edges that close a cycle (found by DFS in declaration order); both directions
+     * between the same pair collapse into one edge
+     */
+    removeCycles(nodes, edges) {
+        const outgoing = new Map(nodes.map(obj => [obj, []]));
+        edges.forEach(edge => outgoing.get(edge.from).push(edge));
+
+        const state = new Map();
+        const result = [];
+        const add = (from, to) => {
+            if (!result.some(edge => edge.from === from && edge.to === to)) result.push({ from, to });
+        };
+
+        const visit = (obj) => {
+            state.set(obj, 'active');
+            outgoing.get(obj).forEach(({ to }) => {
+                if (state.get(to) === 'active') {
+                    add(to, obj);
+                } else {
+                    add(obj, to);
+                    if (!state.has(to)) visit(to);
+                }
+            });
+            state.set(obj, 'done');
+        };
+
+        // Objects nobody sends to come first, so the flow starts at the top
+        const incoming = new Set(edges.map(edge => edge.to));
+        [...nodes.filter(obj => !incoming.has(obj)), ...nodes].forEach(obj => {
+            if (!state.has(obj)) visit(obj);
+        });
+
+        return result;
+    }
+
+    /**
+     * Longest path from the sources: every edge points at least one layer down
+     */
+    assignLayers(nodes, edges) {
+        const layerOf = new Map(nodes.map(obj => [obj, 0]));
+        const incoming = new Map(nodes.map(obj => [obj, 0]));
+        edges.forEach(({ to }) => incoming.set(to, incoming.get(to) + 1));
+
+        const queue = nodes.filter(obj => incoming.get(obj) === 0);
+        while (queue.length > 0) {
+            const obj = queue.shift();
+            edges.filter(edge => edge.from === obj).forEach(({ to }) => {
+                layerOf.set(to, Math.max(layerOf.get(to), layerOf.get(obj) + 1));
+                incoming.set(to, incoming.get(to) - 1);
+                if (incoming.get(to) === 0) queue.push(to);
+            });
+        }
+
+        return layerOf;
+    }
+
+    /**
+     * Alternate downward and upward barycenter sweeps and keep the order with the fewest crossings
+     */
+    orderLayers(layers, segments, upperNeighbours, lowerNeighbours) {
+        const countAll = () => segments.reduce((sum, a, i) => sum + segments.slice(i + 1).filter(b => {
+            if (a.layer !== b.layer || a.upper === b.upper || a.lower === b.lower) return false;
+            const upperOrder = layers[a.layer].indexOf(a.upper) - layers[a.layer].indexOf(b.upper);
+            const lowerOrder = layers[a.layer + 1].indexOf(a.lower) - layers[a.layer + 1].indexOf(b.lower);
+            return upperOrder * lowerOrder < 0;
+        }).length, 0);
+
+        const sortByBarycenter = (layer, neighbours, adjacent) => {
+            const barycenter = new Map(layer.map((obj, index) => {
+                const linked = neighbours.get(obj) || [];
+                return [obj, linked.length > 0
+                    ? linked.reduce((sum, other) => sum + adjacent.indexOf(other), 0) / linked.length
+                    : index];
+            }));
+            layer.sort((a, b) => barycenter.get(a) - barycenter.get(b));
+        };
+
+        let best = layers.map(layer => [...layer]);
+        let bestCrossings = countAll();
+
+        for (let sweep = 0; sweep < 12 && bestCrossings > 0; sweep++) {
+            if (sweep % 2 === 0) {
+                for (let i = 1; i < layers.length; i++) sortByBarycenter(layers[i], upperNeighbours, layers[i - 1]);
+            } else {
+                for (let i = layers.length - 2; i >= 0; i--) sortByBarycenter(layers[i], lowerNeighbours, layers[i + 1]);
+            }
+
+            const crossings = countAll();
+            if (crossings < bestCrossings) {
+                bestCrossings = crossings;
+                best = layers.map(layer => [...layer]);
+            }
+        }
+
+        best.forEach((layer, index) => { layers[index] = layer; });
+    }
+
+    /**
+     * Rows top to bottom; each box leans towards the boxes above it that it is connected to
+     */
+    placeLayers(layers, upperNeighbours) {
+        const rowHeight = Math.max(...layers.flat().map(obj => obj.height)) + this.layerGap;
+
+        layers.forEach((layer, layerIndex) => {
+            const desired = layer.map(obj => {
+                const linked = upperNeighbours.get(obj) || [];
+                return linked.length > 0
+                    ? linked.reduce((sum, other) => sum + other.x + other.width / 2, 0) / linked.length
+                    : null;
+            });
+
+            // Left to right in order, never closer than the gap
+            let right = -this.nodeGap;
+            layer.forEach((obj, index) => {
+                const wanted = desired[index] !== null ? desired[index] - obj.width / 2 : right + this.nodeGap;
+                obj.x = Math.max(wanted, right + this.nodeGap);
+                obj.y = layerIndex * rowHeight + (rowHeight - this.layerGap - obj.height) / 2;
+                right = obj.x + obj.width;
+            });
+
+            // Shift the row back so on average the boxes sit where they wanted to be
+            const offsets = layer
+                .map((obj, index) => desired[index] !== null ? desired[index] - (obj.x + obj.width / 2) : null)
+                .filter(offset => offset !== null);
+            const shift = offsets.length > 0
+                ? offsets.reduce((sum, offset) => sum + offset, 0) / offsets.length
+                : -(layer[0].x + right) / 2;
+            layer.forEach(obj => { obj.x += shift; });
+        });
+    }
+
+    /**
+     * Boxes around a circle in an order where connected objects sit close together
+     */
+    circularLayout({ nodes, edges }) {
+        const order = this.findCircularOrder(nodes, edges);
+        const circumference = nodes.reduce((sum, obj) => sum + Math.max(obj.width, obj.height) + this.nodeGap / 2, 0);
+        const radius = Math.max(150, circumference / (2 * Math.PI));
+
+        order.forEach((obj, index) => {
+            const angle = -Math.PI / 2 + (2 * Math.PI * index) / order.length;
+            this.setCenter(obj, { x: Math.cos(angle) * radius, y: Math.sin(angle) * radius });
+        });
+    }
+
+    /**
+     * Walk the graph depth first from the busiest object, then swap pairs while that removes chord crossings
+     */
+    findCircularOrder(nodes, edges) {
+        const neighbours = new Map(nodes.map(obj => [obj, new Map()]));
+        edges.forEach(({ from, to, weight }) => {
+            neighbours.get(from).set(to, (neighbours.get(from).get(to) || 0) + weight);
+            neighbours.get(to).set(from, (neighbours.get(to).get(from) || 0) + weight);
+        });
+
+        const degree = (obj) => Array.from(neighbours.get(obj).values()).reduce((sum, weight) => sum + weight, 0);
+        const order = [];
+        const visit = (obj) => {
+            if (order.includes(obj)) return;
+            order.push(obj);
+            Array.from(neighbours.get(obj))
+                .sort((a, b) => b[1] - a[1])
+                .forEach(([next]) => visit(next));
+        };
+        [...nodes].sort((a, b) => degree(b) - degree(a)).forEach(visit);
+
+        // Two chords cross when exactly one end of one lies between the ends of the other
+        const countCrossings = () => {
+            const position = new Map(order.map((obj, index) => [obj, index]));
+            let crossings = 0;
+            for (let i = 0; i < edges.length; i++) {
+                const [a1, a2] = [position.get(edges[i].from), position.get(edges[i].to)].sort((x, y) => x - y);
+                for (let j = i + 1; j < edges.length; j++) {
+                    const b1 = position.get(edges[j].from);
+                    const b2 = position.get(edges[j].to);
+                    if ([a1, a2].includes(b1) || [a1, a2].includes(b2)) continue;
+
+                    const inside = (p) => p > a1 && p < a2;
+                    if (inside(b1) !== inside(b2)) crossings++;
+                }
+            }
+            return crossings;
+        };
+
+        // Try swapping two objects and moving one object to another slot; keep whatever helps
+        let crossings = countCrossings();
+        const attempt = (change, revert) => {
+            change();
+            const changed = countCrossings();
+            if (changed < crossings) {
+                crossings = changed;
+                return true;
+            }
+            revert();
+            return false;
+        };
+
+        for (let pass = 0; pass < 5 && crossings > 0; pass++) {
+            let improved = false;
+            for (let i = 0; i < order.length; i++) {
+                for (let j = 0; j < order.length; j++) {
+                    if (i === j) continue;
+
+                    const swap = () => { [order[i], order[j]] = [order[j], order[i]]; };
+                    if (i < j && attempt(swap, swap)) improved = true;
+
+                    const move = () => order.splice(j, 0, order.splice(i, 1)[0]);
+                    const moveBack = () => order.splice(i, 0, order.splice(j, 1)[0]);
+                    if (attempt(move, moveBack)) improved = true;
+                }
+            }
+            if (!improved) break;
+        }
+
+        return order;
+    }
+
+    /**
+     * Exchange the places of two boxes whenever that lowers the number of crossing lines
+     */
+    swapToReduceCrossings({ nodes, edges }) {
+        let crossings = this.countCrossings(edges);
+
+        for (let pass = 0; pass < 3 && crossings > 0; pass++) {
+            let improved = false;
+            for (let i = 0; i < nodes.length; i++) {
+                for (let j = i + 1; j < nodes.length; j++) {
+                    const a = this.getCenter(nodes[i]);
+                    const b = this.getCenter(nodes[j]);
+                    this.setCenter(nodes[i], b);
+                    this.setCenter(nodes[j], a);
+
+                    const swapped = this.countCrossings(edges);
+                    if (swapped < crossings) {
+                        crossings = swapped;
+                        improved = true;
+                    } else {
+                        this.setCenter(nodes[i], a);
+                        this.setCenter(nodes[j], b);
+                    }
+                }
+            }
+            if (!improved) break;
+        }
+    }
+
+    /**
+     * Straight centre-to-centre lines that intersect; lines sharing an object never count
+     */
+    countCrossings(edges) {
+        const cross = (p1, p2, p3, p4) => {
+            const direction = (a, b, c) => (c.x - a.x) * (b.y - a.y) - (b.x - a.x) * (c.y - a.y);
+            const d1 = direction(p3, p4, p1);
+            const d2 = direction(p3, p4, p2);
+            const d3 = direction(p1, p2, p3);
+            const d4 = direction(p1, p2, p4);
+            return ((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0));
+        };
+
+        let crossings = 0;
+        for (let i = 0; i < edges.length; i++) {
+            for (let j = i + 1; j < edges.length; j++) {
+                const a = edges[i];
+                const b = edges[j];
+                if (a.from === b.from || a.from === b.to || a.to === b.from || a.to === b.to) continue;
+
+                if (cross(this.getCenter(a.from), this.getCenter(a.to), this.getCenter(b.from), this.getCenter(b.to))) {
+                    crossings++;
+                }
+            }
+        }
+        return crossings;
+    }
+
+    /**
+     * Push overlapping boxes apart along the axis where they overlap least
+     */
+    separateOverlaps(nodes, gap = 20) {
+        for (let pass = 0; pass < 50; pass++) {
+            let moved = false;
+            for (let i = 0; i < nodes.length; i++) {
+                for (let j = i + 1; j < nodes.length; j++) {
+                    const a = nodes[i];
+                    const b = nodes[j];
+                    const overlapX = Math.min(a.x + a.width + gap - b.x, b.x + b.width + gap - a.x);
+                    const overlapY = Math.min(a.y + a.height + gap - b.y, b.y + b.height + gap - a.y);
+                    if (overlapX <= 0 || overlapY <= 0) continue;
+
+                    moved = true;
+                    if (overlapX < overlapY) {
+                        const push = (overlapX / 2) * (a.x + a.width / 2 <= b.x + b.width / 2 ? -1 : 1);
+                        a.x += push;
+                        b.x -= push;
+                    } else {
+                        const push = (overlapY / 2) * (a.y + a.height / 2 <= b.y + b.height / 2 ? -1 : 1);
+                        a.y += push;
+                        b.y -= push;
+                    }
+                }
+            }
+            if (!moved) return;
+        }
+    }
+
+    /**
+     * Centre the result in the canvas area, or pin it to the top-left padding when it is larger
+     */
+    fitToArea(objects, width, height) {
+        const left = Math.min(...objects.map(obj => obj.x));
+        const top = Math.min(...objects.map(obj => obj.y));
+        const contentWidth = Math.max(...objects.map(obj => obj.x + obj.width)) - left;
+        const contentHeight = Math.max(...objects.map(obj => obj.y + obj.height)) - top;
+
+        const offsetX = Math.max(this.padding, (width - contentWidth) / 2) - left;
+        const offsetY = Math.max(this.padding, (height - contentHeight) / 2) - top;
+        objects.forEach(obj => {
+            obj.x = Math.round(obj.x + offsetX);
+            obj.y = Math.round(obj.y + offsetY);
+        });
+    }
+
+    getCenter(obj) {
+        return { x: obj.x + obj.width / 2, y: obj.y + obj.height / 2 };
+    }
+
+    setCenter(obj, center) {
+        obj.x = center.x - obj.width / 2;
+        obj.y = center.y - obj.height / 2;
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LayoutEngine;
+}
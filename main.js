@@ -7,14 +7,48 @@ class AnimatedPlantUMLApp {
         this.parser = new PlantUMLParser();
         this.canvas = new CanvasEngine('diagram-canvas');
         this.animator = new AnimationSystem(this.canvas);
+        this.exporter = new DiagramExporter(this.canvas);
+        this.recorder = new AnimationRecorder(this.canvas, this.animator, this.exporter);
+        this.layoutEngine = new LayoutEngine();
+        this.diagnostics = new EditorDiagnostics('plantuml-input', 'editor-gutter', 'problems-list');
         
         this.currentDiagram = null;
         this.isInitialized = false;
         this.settings = {
             autoAnimate: true,
             showLabels: true,
-            soundEffects: false
+            soundEffects: false,
+            playbackMode: 'auto',
+            timingMode: 'fixed',
+            branchMode: 'first',
+            loopIterations: 2,
+            viewMode: 'auto',
+            layoutAlgorithm: 'grid',
+            edgeRouting: 'straight',
+            tokenStyle: 'none',
+            tokenPayload: false,
+            livePreview: false,
+            snapToGrid: false,
+            gridSize: 20,
+            showGrid: false,
+            smartGuides: true,
+            pushApart: false
         };
+        this.livePreviewDelay = 400;
+        this.livePreviewTimer = null;
+
+        // Named diagrams saved in the browser
+        this.documents = new DocumentStore();
+        this.activeDocumentId = null;
+        this.autosaveDelay = 800;
+        this.autosaveTimer = null;
+        this.shareUrlRequest = 0;
+
+        // Undo / redo of moves, source edits, imports and layout runs
+        this.editHistory = new HistoryManager(() => this.renderHistory());
+        this.historyState = null;
+        this.historyPaused = false;
+        this.renderedSource = '';
         
         this.initializeApp();
     }
@@ -25,7 +59,13 @@ class AnimatedPlantUMLApp {
     initializeApp() {
         this.setupEventListeners();
         this.setupCanvasEvents();
-        this.loadSampleDiagram();
+
+        // A shared link wins over the stored documents
+        this.restoreFromUrl().then(restored => {
+            if (!restored) {
+                this.restoreDocuments();
+            }
+        });
         this.isInitialized = true;
         
         console.log('🎯 Animated PlantUML App initialized successfully!');
@@ -47,6 +87,32 @@ class AnimatedPlantUMLApp {
         const resetBtn = document.getElementById('reset-btn');
         resetBtn.addEventListener('click', () => this.resetDiagram());
 
+        // Image export buttons
+        document.getElementById('export-svg-btn').addEventListener('click', () => this.exportImage('svg'));
+        document.getElementById('export-png-btn').addEventListener('click', () => this.exportImage('png'));
+        document.getElementById('copy-link-btn').addEventListener('click', () => this.copyShareLink());
+
+        // Pasting another shared link into the address bar
+        window.addEventListener('hashchange', () => this.restoreFromUrl());
+
+        // Animation recording
+        document.getElementById('record-btn').addEventListener('click', () => this.recordAnimation());
+
+        // Document sidebar
+        document.getElementById('new-document-btn').addEventListener('click', () => this.createDocument());
+        document.getElementById('rename-document-btn').addEventListener('click', () => this.renameDocument());
+        document.getElementById('duplicate-document-btn').addEventListener('click', () => this.duplicateDocument());
+        document.getElementById('delete-document-btn').addEventListener('click', () => this.deleteDocument());
+
+        // Edit history
+        document.getElementById('undo-btn').addEventListener('click', () => this.undo());
+        document.getElementById('redo-btn').addEventListener('click', () => this.redo());
+
+        // Any edit or setting change in the input panel is autosaved
+        const inputPanel = document.querySelector('.input-panel');
+        inputPanel.addEventListener('input', () => this.scheduleAutosave());
+        inputPanel.addEventListener('change', () => this.scheduleAutosave());
+
         // Sample selector
         const sampleSelect = document.getElementById('sample-select');
         const loadSampleBtn = document.getElementById('load-sample-btn');
@@ -87,11 +153,134 @@ class AnimatedPlantUMLApp {
             // TODO: Implement sound effects
         });
 
+        // Live preview re-parses shortly after the user stops typing
+        const livePreviewCheckbox = document.getElementById('live-preview');
+
+        livePreviewCheckbox.addEventListener('change', (e) => {
+            this.settings.livePreview = e.target.checked;
+            if (e.target.checked) {
+                this.scheduleLivePreview();
+            }
+        });
+
+        document.getElementById('plantuml-input').addEventListener('input', () => {
+            if (this.settings.livePreview) {
+                this.scheduleLivePreview();
+            }
+        });
+
+        // Drag aids: grid, alignment guides and push-apart
+        const snapInputs = {
+            snapToGrid: 'snap-to-grid',
+            gridSize: 'grid-size',
+            showGrid: 'show-grid',
+            smartGuides: 'smart-guides',
+            pushApart: 'push-apart'
+        };
+        Object.entries(snapInputs).forEach(([key, elementId]) => {
+            document.getElementById(elementId).addEventListener('change', (e) => {
+                this.settings[key] = e.target.type === 'checkbox' ? e.target.checked : parseInt(e.target.value, 10);
+                this.canvas.setSnapOptions({ [key]: this.settings[key] });
+            });
+        });
+
+        // Playback mode (timeline / flow graph)
+        const viewModeSelect = document.getElementById('view-mode');
+
+        viewModeSelect.addEventListener('change', (e) => {
+            this.settings.viewMode = e.target.value;
+            if (this.currentDiagram) {
+                this.generateDiagram();
+            }
+        });
+
+        // Free view layout algorithm; changing it rearranges the current diagram
+        document.getElementById('layout-algorithm').addEventListener('change', (e) => {
+            this.applyLayout(e.target.value);
+        });
+
+        document.getElementById('apply-layout-btn').addEventListener('click', () => {
+            this.applyLayout();
+        });
+
+        document.getElementById('edge-routing').addEventListener('change', (e) => {
+            this.settings.edgeRouting = e.target.value;
+            this.canvas.setRoutingStyle(e.target.value);
+        });
+
+        // Message tokens travelling along the connections instead of the line effect
+        document.getElementById('token-style').addEventListener('change', (e) => {
+            this.settings.tokenStyle = e.target.value;
+            this.animator.setTokenStyle(e.target.value);
+        });
+
+        document.getElementById('token-payload').addEventListener('change', (e) => {
+            this.settings.tokenPayload = e.target.checked;
+            this.animator.setTokenStyle(this.settings.tokenStyle, e.target.checked);
+        });
+
+        const playbackModeSelect = document.getElementById('playback-mode');
+
+        playbackModeSelect.addEventListener('change', (e) => {
+            this.settings.playbackMode = e.target.value;
+            this.animator.setPlaybackMode(e.target.value);
+        });
+
+        // Step lengths: all equal, or following `{duration=...}` / teoz span latencies
+        document.getElementById('timing-mode').addEventListener('change', (e) => {
+            this.settings.timingMode = e.target.value;
+            this.animator.setTimingMode(e.target.value);
+        });
+
+        // Combined fragment playback
+        const branchModeSelect = document.getElementById('branch-mode');
+        const loopIterationsInput = document.getElementById('loop-iterations');
+
+        branchModeSelect.addEventListener('change', (e) => {
+            this.settings.branchMode = e.target.value;
+            this.animator.setBranchMode(e.target.value);
+        });
+
+        loopIterationsInput.addEventListener('change', (e) => {
+            const iterations = parseInt(e.target.value, 10) || 1;
+            this.settings.loopIterations = iterations;
+            this.animator.setLoopIterations(iterations);
+        });
+
+        // Transport controls
+        document.getElementById('play-pause-btn').addEventListener('click', () => this.togglePlayback());
+        document.getElementById('step-back-btn').addEventListener('click', () => this.animator.stepBackward());
+        document.getElementById('step-forward-btn').addEventListener('click', () => this.animator.stepForward());
+
+        document.getElementById('timeline-scrubber').addEventListener('input', (e) => {
+            this.animator.seek(parseInt(e.target.value, 10));
+        });
+
+        document.getElementById('step-input').addEventListener('change', (e) => {
+            this.animator.seek((parseInt(e.target.value, 10) || 1) - 1);
+        });
+
         // Enhanced keyboard shortcuts
         document.addEventListener('keydown', (e) => {
             // Handle shortcuts with Ctrl/Cmd
             if (e.ctrlKey || e.metaKey) {
                 switch (e.key) {
+                    case 'z':
+                    case 'Z':
+                        // Text fields keep their own undo
+                        if (this.isEditingField(e.target)) return;
+                        e.preventDefault();
+                        if (e.shiftKey) {
+                            this.redo();
+                        } else {
+                            this.undo();
+                        }
+                        break;
+                    case 'y':
+                        if (this.isEditingField(e.target)) return;
+                        e.preventDefault();
+                        this.redo();
+                        break;
                     case 'Enter':
                         e.preventDefault();
                         this.generateDiagram();
@@ -134,9 +323,26 @@ class AnimatedPlantUMLApp {
                         this.focusNextObject();
                         break;
                     case ' ':
-                        if (e.target.tagName === 'TEXTAREA') return;
+                        // Toggled on keyup, since holding Space while dragging pans the canvas
+                        if (this.isEditingField(e.target)) return;
                         e.preventDefault();
-                        this.startFullAnimation();
+                        break;
+                    case 'ArrowRight':
+                    case 'ArrowLeft':
+                    case 'ArrowUp':
+                    case 'ArrowDown':
+                        if (this.isEditingField(e.target)) return;
+                        // Arrows nudge a selection in the free view (one grid cell, or 1 / Shift: 10 units)
+                        // and step playback otherwise
+                        if (this.nudgeSelection(e.key, this.settings.snapToGrid ? this.settings.gridSize : (e.shiftKey ? 10 : 1))) {
+                            e.preventDefault();
+                        } else if (e.key === 'ArrowRight') {
+                            e.preventDefault();
+                            this.animator.stepForward();
+                        } else if (e.key === 'ArrowLeft') {
+                            e.preventDefault();
+                            this.animator.stepBackward();
+                        }
                         break;
                     case 'h':
                     case '?':
@@ -147,9 +353,28 @@ class AnimatedPlantUMLApp {
             }
         });
 
-        // Handle window resize
-        window.addEventListener('resize', () => {
-            this.handleResize();
+        document.addEventListener('keyup', (e) => {
+            if (e.key !== ' ' || e.ctrlKey || e.metaKey || this.isEditingField(e.target)) return;
+            if (!this.canvas.spacePanned) {
+                this.togglePlayback();
+            }
+        });
+
+        // Zoom controls
+        document.getElementById('zoom-in-btn').addEventListener('click', () => this.canvas.zoomBy(1.25));
+        document.getElementById('zoom-out-btn').addEventListener('click', () => this.canvas.zoomBy(0.8));
+        document.getElementById('zoom-reset-btn').addEventListener('click', () => this.canvas.resetView());
+        document.getElementById('zoom-fit-btn').addEventListener('click', () => this.canvas.fitDiagram());
+        // Selection commands
+        document.getElementById('align-left-btn').addEventListener('click', () => this.canvas.alignSelection('left'));
+        document.getElementById('align-center-btn').addEventListener('click', () => this.canvas.alignSelection('center'));
+        document.getElementById('align-top-btn').addEventListener('click', () => this.canvas.alignSelection('top'));
+        document.getElementById('distribute-horizontal-btn').addEventListener('click', () => this.canvas.distributeSelection('horizontal'));
+        document.getElementById('distribute-vertical-btn').addEventListener('click', () => this.canvas.distributeSelection('vertical'));
+        document.getElementById('zoom-selection-btn').addEventListener('click', () => {
+            if (!this.canvas.zoomToSelection()) {
+                this.showMessage('먼저 객체를 클릭하여 선택해주세요.', 'warning');
+            }
         });
     }
 
@@ -171,6 +396,63 @@ class AnimatedPlantUMLApp {
             }, 300);
         });
 
+        // Interactive branch selection for alt / opt / break fragments
+        this.canvas.canvas.addEventListener('branchChoice', (e) => {
+            this.showBranchChooser(e.detail);
+        });
+
+        this.canvas.canvas.addEventListener('branchChoiceEnd', () => {
+            this.hideBranchChooser();
+        });
+
+        // Long press (touch) or right-click (mouse) on an object
+        this.canvas.canvas.addEventListener('objectContextMenu', (e) => {
+            this.showObjectMenu(e.detail);
+        });
+
+        document.addEventListener('pointerdown', (e) => {
+            if (!e.target.closest('.object-menu')) {
+                this.hideObjectMenu();
+            }
+        });
+
+        // Dragging a participant along the lifeline row reorders the columns
+        this.canvas.canvas.addEventListener('participantsReordered', (e) => {
+            const { objectId, order } = e.detail;
+            const previousOrder = this.currentDiagram.objects.map(obj => obj.id);
+
+            this.reorderParticipants(order);
+            if (order.join() !== previousOrder.join()) {
+                this.pushHistory({
+                    label: `↔️ ${objectId} 순서 변경`,
+                    mergeKey: `move:${objectId}`,
+                    before: previousOrder,
+                    after: order,
+                    apply: (state) => this.reorderParticipants(state)
+                });
+            }
+            this.scheduleAutosave();
+        });
+
+        // Dragged, nudged and aligned positions belong to the document
+        this.canvas.canvas.addEventListener('objectsMoved', (e) => {
+            this.recordObjectsMoved(e.detail);
+            this.scheduleAutosave();
+        });
+
+        this.canvas.canvas.addEventListener('selectionChanged', (e) => {
+            this.updateSelectionControls(e.detail.ids);
+        });
+
+        this.canvas.canvas.addEventListener('viewChanged', (e) => {
+            document.getElementById('zoom-level').textContent = `${Math.round(e.detail.scale * 100)}%`;
+        });
+
+        // Keep the transport bar in sync with the playhead
+        this.canvas.canvas.addEventListener('timelineUpdate', (e) => {
+            this.updateTransport(e.detail);
+        });
+
         // Canvas click to stop animation
         this.canvas.canvas.addEventListener('click', (e) => {
             if (!e.target.closest('.uml-object')) {
@@ -183,17 +465,19 @@ class AnimatedPlantUMLApp {
     /**
      * Generate diagram from PlantUML input
      */
-    generateDiagram() {
+    generateDiagram(historyLabel = null) {
         try {
-            const input = document.getElementById('plantuml-input').value.trim();
+            const input = document.getElementById('plantuml-input').value;
             
-            if (!input) {
+            if (!input.trim()) {
+                this.diagnostics.setDiagnostics([]);
                 this.showMessage('PlantUML 텍스트를 입력해주세요.', 'warning');
                 return;
             }
 
-            // Parse the PlantUML text
+            // Parse the untrimmed text so diagnostics keep the editor's line numbers
             const diagramData = this.parser.parse(input);
+            this.diagnostics.setDiagnostics(diagramData.diagnostics);
             
             if (diagramData.objects.length === 0) {
                 this.showMessage('유효한 PlantUML 객체를 찾을 수 없습니다.', 'error');
@@ -201,24 +485,15 @@ class AnimatedPlantUMLApp {
             }
 
             // Auto-layout objects
-            this.parser.autoLayout(diagramData.objects, 800, 600);
-
-            // Store current diagram
-            this.currentDiagram = diagramData;
-
-            // Render the diagram
-            this.canvas.render(diagramData);
-
-            // Initialize animator with connections
-            this.animator.initialize(diagramData.connections);
-
-            // Update button states
-            this.updateButtonStates();
+            this.layoutDiagram(diagramData);
+            this.showDiagram(diagramData, historyLabel);
 
             // Show success message
+            const problemCount = diagramData.diagnostics.filter(d => d.severity !== 'info').length;
             this.showMessage(
-                `다이어그램 생성 완료! 객체 ${diagramData.objects.length}개, 연결 ${diagramData.connections.length}개`,
-                'success'
+                `다이어그램 생성 완료! 객체 ${diagramData.objects.length}개, 연결 ${diagramData.connections.length}개` +
+                    (problemCount > 0 ? `, 문제 ${problemCount}개` : ''),
+                problemCount > 0 ? 'warning' : 'success'
             );
 
             console.log('📊 Diagram generated:', diagramData);
@@ -229,6 +504,379 @@ class AnimatedPlantUMLApp {
         }
     }
 
+    /**
+     * Make a laid-out diagram the current one: render it and reset playback
+     */
+    showDiagram(diagramData, historyLabel = null) {
+        this.currentDiagram = diagramData;
+        this.renderedSource = document.getElementById('plantuml-input').value;
+
+        this.canvas.setCanvasDimensions(diagramData.layout.width, diagramData.layout.height);
+        this.canvas.render(diagramData);
+
+        if (!this.settings.showLabels) {
+            this.toggleLabels(false);
+        }
+
+        // Initialize animator with connections and fragments
+        this.animator.initialize(diagramData.connections, diagramData);
+        this.updateRecordStartOptions();
+        this.updateButtonStates();
+        this.commitHistory(historyLabel);
+        this.scheduleAutosave();
+    }
+
+    /**
+     * Restart the live preview debounce
+     */
+    scheduleLivePreview() {
+        clearTimeout(this.livePreviewTimer);
+        this.livePreviewTimer = setTimeout(() => this.updateLivePreview(), this.livePreviewDelay);
+    }
+
+    /**
+     * Re-parse the editor without re-running the layout: objects already on the canvas stay
+     * where they are and messages that were just added flash once
+     */
+    updateLivePreview() {
+        const previous = this.currentDiagram;
+        if (!previous) {
+            this.generateDiagram();
+            return;
+        }
+        if (this.recorder.isRecording) return;
+
+        try {
+            const diagramData = this.parser.parse(document.getElementById('plantuml-input').value);
+            this.diagnostics.setDiagnostics(diagramData.diagnostics);
+
+            // Half-typed text: keep showing the last diagram that had objects
+            if (diagramData.objects.length === 0) return;
+
+            this.layoutDiagramAround(diagramData, previous);
+            const addedConnectionIds = this.findAddedConnections(diagramData.connections, previous.connections);
+
+            this.showDiagram(diagramData);
+            this.animator.flashConnections(addedConnectionIds);
+        } catch (error) {
+            console.error('Live preview error:', error);
+        }
+    }
+
+    /**
+     * Lay out a re-parsed diagram around the previous one; only objects that are new get placed
+     */
+    layoutDiagramAround(diagramData, previous) {
+        const mode = this.getViewMode(diagramData);
+        if (mode !== previous.layout.mode) {
+            this.layoutDiagram(diagramData);
+            return;
+        }
+
+        if (mode === 'sequence') {
+            // Keep the current column order; a new participant follows the one declared before it
+            const ids = new Set(diagramData.objects.map(obj => obj.id));
+            const order = previous.objects.map(obj => obj.id).filter(id => ids.has(id));
+
+            diagramData.objects.forEach((obj, index) => {
+                if (order.includes(obj.id)) return;
+                const before = index > 0 ? order.indexOf(diagramData.objects[index - 1].id) : -1;
+                order.splice(before + 1, 0, obj.id);
+            });
+
+            diagramData.objects.sort((a, b) => order.indexOf(a.id) - order.indexOf(b.id));
+            this.layoutDiagram(diagramData);
+            return;
+        }
+
+        // Free view: copy the (possibly dragged) coordinates of known objects
+        const previousObjects = new Map(previous.objects.map(obj => [obj.id, obj]));
+        const placed = [];
+        const added = [];
+
+        diagramData.objects.forEach(obj => {
+            const known = previousObjects.get(obj.id);
+            if (known) {
+                obj.x = known.x;
+                obj.y = known.y;
+                placed.push(obj);
+            } else {
+                added.push(obj);
+            }
+        });
+
+        const { width, height } = previous.layout;
+        this.parser.placeNewObjects(added, placed, width, height);
+        diagramData.layout = { ...previous.layout };
+    }
+
+    /**
+     * Ids of messages that have no counterpart in the previous parse;
+     * messages are compared by endpoints, arrow and label since ids shift with every edit
+     */
+    findAddedConnections(connections, previousConnections) {
+        const signature = (conn) => `${conn.from}|${conn.to}|${conn.arrowType}|${conn.label}`;
+        const remaining = new Map();
+
+        previousConnections
+            .filter(conn => conn.from && conn.to)
+            .forEach(conn => {
+                const key = signature(conn);
+                remaining.set(key, (remaining.get(key) || 0) + 1);
+            });
+
+        return connections
+            .filter(conn => conn.from && conn.to)
+            .filter(conn => {
+                const key = signature(conn);
+                const count = remaining.get(key) || 0;
+                remaining.set(key, count - 1);
+                return count <= 0;
+            })
+            .map(conn => conn.id);
+    }
+
+    /**
+     * Whether a diagram is drawn with lifelines or as freely placed boxes
+     */
+    getViewMode(diagramData) {
+        if (this.settings.viewMode !== 'auto') {
+            return this.settings.viewMode;
+        }
+        return diagramData.diagramType === 'sequence' ? 'sequence' : 'free';
+    }
+
+    /**
+     * Position the objects and attach the resulting layout metrics
+     */
+    layoutDiagram(diagramData) {
+        if (this.getViewMode(diagramData) === 'sequence') {
+            diagramData.layout = this.parser.sequenceLayout(diagramData.objects, diagramData.rowCount);
+        } else {
+            this.arrangeObjects(diagramData.objects, diagramData.connections, this.settings.layoutAlgorithm);
+            diagramData.layout = { mode: 'free', width: 800, height: 600 };
+        }
+    }
+
+    /**
+     * Place free view objects with 'grid', 'force', 'layered' or 'circular'
+     */
+    arrangeObjects(objects, connections, algorithm) {
+        if (LayoutEngine.algorithms.includes(algorithm)) {
+            this.layoutEngine.layout(objects, connections, algorithm, 800, 600);
+        } else {
+            this.parser.autoLayout(objects, 800, 600);
+        }
+    }
+
+    /**
+     * Rearrange the current free view diagram and animate the objects to their new places;
+     * resolves to false when there is nothing to arrange
+     */
+    async applyLayout(algorithm = this.settings.layoutAlgorithm) {
+        const names = {
+            grid: '격자',
+            force: '힘 기반',
+            layered: '계층형',
+            circular: '원형'
+        };
+        if (!names[algorithm]) {
+            throw new Error(`Unknown layout algorithm: ${algorithm}`);
+        }
+
+        this.settings.layoutAlgorithm = algorithm;
+        document.getElementById('layout-algorithm').value = algorithm;
+
+        if (!this.currentDiagram) return false;
+        if (this.currentDiagram.layout.mode !== 'free') {
+            this.showMessage('자동 배치는 자유 배치 보기에서만 사용할 수 있습니다.', 'warning');
+            return false;
+        }
+
+        // Compute on copies so the objects can glide from where they are now
+        const before = this.getPositions();
+        const copies = this.currentDiagram.objects.map(obj => ({ ...obj }));
+        this.arrangeObjects(copies, this.currentDiagram.connections, algorithm);
+        const after = Object.fromEntries(copies.map(obj => [obj.id, { x: obj.x, y: obj.y }]));
+
+        this.pushHistory({
+            label: `🧭 ${names[algorithm]} 배치`,
+            before,
+            after,
+            apply: (state) => this.canvas.moveObjects(state)
+        });
+        // The objects are still on their way; record where they will end up
+        this.historyState = { source: this.renderedSource, positions: after };
+
+        await this.canvas.animateObjects(after);
+        this.scheduleAutosave();
+        return true;
+    }
+
+    /**
+     * Move participants into new lifeline columns and redraw
+     */
+    reorderParticipants(order) {
+        if (!this.currentDiagram) return;
+
+        const objects = this.currentDiagram.objects;
+        objects.sort((a, b) => order.indexOf(a.id) - order.indexOf(b.id));
+
+        this.layoutDiagram(this.currentDiagram);
+        this.canvas.setCanvasDimensions(this.currentDiagram.layout.width, this.currentDiagram.layout.height);
+        this.canvas.render(this.currentDiagram);
+        this.animator.refresh();
+    }
+
+    /**
+     * Turn a reported move into a history entry; repeated drags or nudges of the same objects merge
+     */
+    recordObjectsMoved({ action, moves }) {
+        const ids = moves.map(move => move.objectId);
+        const subject = ids.length === 1 ? ids[0] : `객체 ${ids.length}개`;
+        const labels = {
+            drag: `✋ ${subject} 이동`,
+            nudge: `⌨️ ${subject} 미세 이동`,
+            align: `📏 ${subject} 정렬`,
+            distribute: `📐 ${subject} 균등 배치`
+        };
+        const positions = (key) => Object.fromEntries(moves.map(move => [
+            move.objectId,
+            key === 'before' ? { x: move.fromX, y: move.fromY } : { x: move.x, y: move.y }
+        ]));
+
+        this.pushHistory({
+            label: labels[action],
+            mergeKey: action === 'drag' || action === 'nudge' ? `move:${[...ids].sort().join()}` : null,
+            before: positions('before'),
+            after: positions('after'),
+            apply: (state) => this.canvas.moveObjects(state)
+        });
+    }
+
+    /**
+     * Move the selection with an arrow key; false when there is nothing to nudge
+     */
+    nudgeSelection(key, distance) {
+        const offsets = {
+            ArrowLeft: [-distance, 0],
+            ArrowRight: [distance, 0],
+            ArrowUp: [0, -distance],
+            ArrowDown: [0, distance]
+        };
+        return this.canvas.nudgeSelection(...offsets[key]);
+    }
+
+    /**
+     * Show the selection size and enable the commands it allows
+     */
+    updateSelectionControls(ids) {
+        const freeView = !this.canvas.isSequenceView();
+        document.getElementById('selection-count').textContent = ids.length === 0 ? '선택 없음' : `${ids.length}개 선택`;
+
+        ['align-left-btn', 'align-center-btn', 'align-top-btn'].forEach(id => {
+            document.getElementById(id).disabled = !freeView || ids.length < 2;
+        });
+        ['distribute-horizontal-btn', 'distribute-vertical-btn'].forEach(id => {
+            document.getElementById(id).disabled = !freeView || ids.length < 3;
+        });
+    }
+
+    /**
+     * Show branch buttons while the animation waits on a fragment
+     */
+    showBranchChooser({ fragment, options, choose }) {
+        this.hideBranchChooser();
+
+        const chooser = document.createElement('div');
+        chooser.className = 'branch-chooser';
+
+        const title = document.createElement('div');
+        title.className = 'branch-chooser-title';
+        title.textContent = `🔀 ${fragment.type} ${fragment.label}`.trim();
+        chooser.appendChild(title);
+
+        options.forEach(option => {
+            const button = document.createElement('button');
+            button.className = 'btn btn-small';
+            button.textContent = option.index < 0 ? '⏭️ 건너뛰기' : `[${option.label}]`;
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                choose(option.index);
+            });
+            chooser.appendChild(button);
+        });
+
+        document.getElementById('canvas-container').appendChild(chooser);
+    }
+
+    /**
+     * Remove the branch chooser overlay
+     */
+    hideBranchChooser() {
+        const chooser = document.querySelector('.branch-chooser');
+        if (chooser) {
+            chooser.remove();
+        }
+    }
+
+    /**
+     * Show the actions for one object next to the pointer
+     */
+    showObjectMenu({ objectId, clientX, clientY }) {
+        this.hideObjectMenu();
+
+        const container = document.getElementById('canvas-container');
+        const bounds = container.getBoundingClientRect();
+        const menu = document.createElement('div');
+        menu.className = 'object-menu';
+        menu.style.left = `${clientX - bounds.left + container.scrollLeft}px`;
+        menu.style.top = `${clientY - bounds.top + container.scrollTop}px`;
+
+        const actions = [
+            ['▶️ 여기서부터 재생', () => this.animator.startFlowAnimation(objectId)],
+            ['🔍 확대', () => this.canvas.zoomToSelection()],
+            ['🧭 흐름 경로 표시', () => this.showFlowPath(objectId)]
+        ];
+
+        actions.forEach(([label, action]) => {
+            const button = document.createElement('button');
+            button.className = 'btn btn-small';
+            button.textContent = label;
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.hideObjectMenu();
+                action();
+            });
+            menu.appendChild(button);
+        });
+
+        container.appendChild(menu);
+    }
+
+    hideObjectMenu() {
+        const menu = document.querySelector('.object-menu');
+        if (menu) {
+            menu.remove();
+        }
+    }
+
+    /**
+     * Flash every connection reachable from an object
+     */
+    showFlowPath(objectId) {
+        const reachable = new Set(this.animator.previewPath(objectId));
+        const connectionIds = this.currentDiagram.connections
+            .filter(conn => reachable.has(conn.from))
+            .map(conn => conn.id);
+
+        if (connectionIds.length === 0) {
+            this.showMessage(`${objectId}에서 나가는 흐름이 없습니다.`, 'info');
+            return;
+        }
+        this.animator.flashConnections(connectionIds);
+    }
+
     /**
      * Start full animation sequence
      */
@@ -247,6 +895,61 @@ class AnimatedPlantUMLApp {
         }
     }
 
+    /**
+     * Play / pause toggle used by the transport bar and the Space key
+     */
+    togglePlayback() {
+        const { state } = this.animator.getPlaybackState();
+
+        if (state === 'idle') {
+            this.startFullAnimation();
+        } else {
+            this.animator.togglePause();
+        }
+    }
+
+    /**
+     * Reflect the animator state in the transport controls
+     */
+    updateTransport({ state, step, total, timing }) {
+        const playPauseBtn = document.getElementById('play-pause-btn');
+        const scrubber = document.getElementById('timeline-scrubber');
+        const stepInput = document.getElementById('step-input');
+        const timingSummary = document.getElementById('timing-summary');
+
+        playPauseBtn.textContent = state === 'playing' ? '⏸️' : '▶️';
+        scrubber.max = Math.max(0, total - 1);
+        scrubber.value = step;
+        stepInput.max = total;
+        stepInput.value = total > 0 ? step + 1 : 0;
+        document.getElementById('step-total').textContent = total;
+
+        // End-to-end time of the played path, when its messages carry latencies
+        timingSummary.style.display = timing ? 'inline' : 'none';
+        if (timing) {
+            timingSummary.textContent = `⏱️ ${this.formatDuration(timing.elapsed)} / ${this.formatDuration(timing.total)}`;
+            timingSummary.title = `재생 경로의 전체 소요 시간 (시간이 있는 단계 ${timing.timedSteps} / ${timing.totalSteps})`;
+        }
+    }
+
+    /**
+     * `120ms`, `1.25s` or `2m 5s`
+     */
+    formatDuration(ms) {
+        if (ms < 1000) return `${Math.round(ms)}ms`;
+        if (ms < 60000) return `${parseFloat((ms / 1000).toFixed(2))}s`;
+
+        const minutes = Math.floor(ms / 60000);
+        return `${minutes}m ${Math.round((ms - minutes * 60000) / 1000)}s`;
+    }
+
+    /**
+     * Whether keyboard input belongs to a text field rather than the app
+     */
+    isEditingField(target) {
+        return ['TEXTAREA', 'INPUT', 'SELECT'].includes(target.tagName);
+    }
+
     /**
      * Reset diagram and clear canvas
      */
@@ -256,7 +959,7 @@ class AnimatedPlantUMLApp {
         this.currentDiagram = null;
         
         // Reset input to sample
-        this.loadSampleDiagram();
+        this.loadSampleDiagram('🔄 초기화');
         this.updateButtonStates();
         
         this.showMessage('다이어그램이 초기화되었습니다.', 'info');
@@ -266,13 +969,13 @@ class AnimatedPlantUMLApp {
     /**
      * Load sample diagram
      */
-    loadSampleDiagram() {
+    loadSampleDiagram(historyLabel = '📚 샘플 불러오기') {
         const sampleInput = PlantUMLParser.getSampleDiagram();
         document.getElementById('plantuml-input').value = sampleInput;
         
         // Auto-generate the sample
         setTimeout(() => {
-            this.generateDiagram();
+            this.generateDiagram(historyLabel);
         }, 100);
     }
 
@@ -302,7 +1005,7 @@ class AnimatedPlantUMLApp {
         // Auto-generate if auto-animate is enabled
         if (this.settings.autoAnimate) {
             setTimeout(() => {
-                this.generateDiagram();
+                this.generateDiagram('📚 샘플 불러오기');
                 if (sampleType !== 'simple') {
                     setTimeout(() => {
                         this.startFullAnimation();
@@ -311,7 +1014,7 @@ class AnimatedPlantUMLApp {
             }, 100);
         } else {
             setTimeout(() => {
-                this.generateDiagram();
+                this.generateDiagram('📚 샘플 불러오기');
             }, 100);
         }
 
@@ -328,6 +1031,7 @@ class AnimatedPlantUMLApp {
         labels.forEach(label => {
             label.style.display = show ? 'block' : 'none';
         });
+        this.canvas.placeLabels();
     }
 
     /**
@@ -356,25 +1060,6 @@ class AnimatedPlantUMLApp {
         }
     }
 
-    /**
-     * Handle window resize
-     */
-    handleResize() {
-        if (!this.isInitialized) return;
-
-        // Recalculate canvas dimensions if needed
-        const container = document.getElementById('canvas-container');
-        const rect = container.getBoundingClientRect();
-        
-        // Update canvas viewBox if necessary
-        this.canvas.setCanvasDimensions(800, Math.max(400, rect.height));
-        
-        // Re-render if we have a diagram
-        if (this.currentDiagram) {
-            this.canvas.render(this.currentDiagram);
-        }
-    }
-
     /**
      * Show user message
      */
@@ -430,40 +1115,682 @@ class AnimatedPlantUMLApp {
         }
 
         const exportData = {
+            ...this.createDocumentData(),
+            diagram: this.currentDiagram
+        };
+
+        return exportData;
+    }
+
+    /**
+     * Source, object positions and settings: everything needed to restore the editor
+     */
+    createDocumentData() {
+        return {
             timestamp: new Date().toISOString(),
             plantumlSource: document.getElementById('plantuml-input').value,
-            diagram: this.currentDiagram,
+            positions: this.getPositions(),
             settings: {
-                animationSpeed: this.animator.animationSpeed
+                animationSpeed: this.animator.animationSpeed,
+                showLabels: this.settings.showLabels,
+                autoAnimate: this.settings.autoAnimate,
+                livePreview: this.settings.livePreview,
+                viewMode: this.settings.viewMode,
+                layoutAlgorithm: this.settings.layoutAlgorithm,
+                edgeRouting: this.settings.edgeRouting,
+                tokenStyle: this.settings.tokenStyle,
+                tokenPayload: this.settings.tokenPayload,
+                playbackMode: this.settings.playbackMode,
+                timingMode: this.settings.timingMode,
+                branchMode: this.settings.branchMode,
+                loopIterations: this.settings.loopIterations,
+                snapToGrid: this.settings.snapToGrid,
+                gridSize: this.settings.gridSize,
+                showGrid: this.settings.showGrid,
+                smartGuides: this.settings.smartGuides,
+                pushApart: this.settings.pushApart
             }
         };
+    }
 
-        return exportData;
+    /**
+     * Current object coordinates keyed by id
+     */
+    getPositions() {
+        const positions = {};
+        if (this.currentDiagram) {
+            this.currentDiagram.objects.forEach(obj => {
+                positions[obj.id] = { x: obj.x, y: obj.y };
+            });
+        }
+        return positions;
+    }
+
+    /**
+     * Download the canvas, with its current positions and highlights, as SVG or PNG
+     */
+    async exportImage(format) {
+        if (!this.currentDiagram) {
+            this.showMessage('내보낼 다이어그램이 없습니다.', 'warning');
+            return;
+        }
+
+        const filename = this.getExportFilename(format);
+
+        try {
+            if (format === 'png') {
+                await this.exporter.exportPng(filename);
+            } else {
+                this.exporter.exportSvg(filename);
+            }
+            this.showMessage(`${format.toUpperCase()} 파일로 내보냈습니다.`, 'success');
+        } catch (error) {
+            console.error('Export error:', error);
+            this.showMessage('이미지 내보내기 중 오류가 발생했습니다.', 'error');
+        }
+    }
+
+    /**
+     * Timestamped file name for exported images and recordings
+     */
+    getExportFilename(extension) {
+        return `plantuml-${new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-')}.${extension}`;
+    }
+
+    /**
+     * Offer every object as a starting point for recording
+     */
+    updateRecordStartOptions() {
+        const select = document.getElementById('record-start');
+        const previous = select.value;
+
+        select.innerHTML = '<option value="">전체 흐름</option>';
+        this.currentDiagram.objects.forEach(obj => {
+            const option = document.createElement('option');
+            option.value = obj.id;
+            option.textContent = obj.name;
+            select.appendChild(option);
+        });
+
+        if (this.currentDiagram.objects.some(obj => obj.id === previous)) {
+            select.value = previous;
+        }
+    }
+
+    /**
+     * Record the animation at the current speed and download it as GIF or WebM
+     */
+    async recordAnimation() {
+        if (!this.currentDiagram) {
+            this.showMessage('먼저 다이어그램을 생성해주세요.', 'warning');
+            return;
+        }
+
+        const recordBtn = document.getElementById('record-btn');
+        const progress = document.getElementById('record-progress');
+        const format = document.getElementById('record-format').value;
+        const fps = Math.max(5, Math.min(30, parseInt(document.getElementById('record-fps').value, 10) || 15));
+        const width = parseInt(document.getElementById('record-width').value, 10) || null;
+
+        recordBtn.disabled = true;
+        progress.textContent = '녹화 준비 중...';
+
+        try {
+            const blob = await this.recorder.record({
+                startObjectId: document.getElementById('record-start').value || null,
+                format,
+                fps,
+                width,
+                onProgress: (fraction) => {
+                    progress.textContent = `프레임 캡처 ${Math.round(fraction * 100)}%`;
+                }
+            });
+
+            this.exporter.download(blob, this.getExportFilename(format));
+            this.showMessage(`${format.toUpperCase()} 파일로 녹화했습니다.`, 'success');
+        } catch (error) {
+            console.error('Recording error:', error);
+            this.showMessage(error.message || '녹화 중 오류가 발생했습니다.', 'error');
+        } finally {
+            recordBtn.disabled = false;
+            progress.textContent = '';
+        }
     }
 
     /**
      * Import diagram data
      */
     importDiagram(importData) {
+        // Generating and positioning form a single history entry
+        this.historyPaused = true;
         try {
-            if (importData.plantumlSource) {
+            if (typeof importData.plantumlSource === 'string') {
                 document.getElementById('plantuml-input').value = importData.plantumlSource;
             }
 
-            if (importData.settings && importData.settings.animationSpeed) {
-                this.animator.setSpeed(importData.settings.animationSpeed);
-                document.getElementById('animation-speed').value = importData.settings.animationSpeed;
-                document.getElementById('speed-value').textContent = 
-                    `${importData.settings.animationSpeed.toFixed(1)}x`;
-            }
-
+            this.applySettings(importData.settings || {});
             this.generateDiagram();
+
+            if (importData.positions) {
+                this.applyPositions(importData.positions);
+            }
             this.showMessage('다이어그램을 성공적으로 가져왔습니다.', 'success');
 
         } catch (error) {
             console.error('Import error:', error);
             this.showMessage('가져오기 중 오류가 발생했습니다.', 'error');
+        } finally {
+            this.historyPaused = false;
+        }
+
+        this.commitHistory('📥 가져오기');
+    }
+
+    /**
+     * Restore saved settings into the controls, the animator and this.settings
+     */
+    applySettings(settings) {
+        if (settings.animationSpeed) {
+            this.animator.setSpeed(settings.animationSpeed);
+            document.getElementById('animation-speed').value = settings.animationSpeed;
+            document.getElementById('speed-value').textContent = 
+                `${settings.animationSpeed.toFixed(1)}x`;
         }
+
+        const checkboxes = {
+            showLabels: 'show-labels',
+            autoAnimate: 'auto-animate',
+            livePreview: 'live-preview',
+            tokenPayload: 'token-payload',
+            snapToGrid: 'snap-to-grid',
+            showGrid: 'show-grid',
+            smartGuides: 'smart-guides',
+            pushApart: 'push-apart'
+        };
+        Object.entries(checkboxes).forEach(([key, elementId]) => {
+            if (typeof settings[key] === 'boolean') {
+                this.settings[key] = settings[key];
+                document.getElementById(elementId).checked = settings[key];
+            }
+        });
+
+        const selects = {
+            viewMode: 'view-mode',
+            layoutAlgorithm: 'layout-algorithm',
+            edgeRouting: 'edge-routing',
+            tokenStyle: 'token-style',
+            playbackMode: 'playback-mode',
+            timingMode: 'timing-mode',
+            branchMode: 'branch-mode',
+            loopIterations: 'loop-iterations',
+            gridSize: 'grid-size'
+        };
+        Object.entries(selects).forEach(([key, elementId]) => {
+            if (settings[key] !== undefined) {
+                this.settings[key] = settings[key];
+                document.getElementById(elementId).value = settings[key];
+            }
+        });
+
+        this.animator.setPlaybackMode(this.settings.playbackMode);
+        this.animator.setTimingMode(this.settings.timingMode);
+        this.animator.setBranchMode(this.settings.branchMode);
+        this.animator.setLoopIterations(this.settings.loopIterations);
+        this.canvas.setRoutingStyle(this.settings.edgeRouting);
+        this.animator.setTokenStyle(this.settings.tokenStyle, this.settings.tokenPayload);
+        this.canvas.setSnapOptions({
+            snapToGrid: this.settings.snapToGrid,
+            gridSize: this.settings.gridSize,
+            showGrid: this.settings.showGrid,
+            smartGuides: this.settings.smartGuides,
+            pushApart: this.settings.pushApart
+        });
+    }
+
+    /**
+     * Move objects back to saved coordinates; in the lifeline layout the saved x order becomes the column order
+     */
+    applyPositions(positions) {
+        if (!this.currentDiagram) return;
+
+        const objects = this.currentDiagram.objects;
+        if (!objects.some(obj => positions[obj.id])) return;
+
+        if (this.currentDiagram.layout.mode === 'sequence') {
+            const savedX = (obj) => positions[obj.id] ? positions[obj.id].x : Infinity;
+            const order = [...objects].sort((a, b) => savedX(a) - savedX(b)).map(obj => obj.id);
+            this.reorderParticipants(order);
+            return;
+        }
+
+        objects.forEach(obj => {
+            if (positions[obj.id]) {
+                obj.x = positions[obj.id].x;
+                obj.y = positions[obj.id].y;
+            }
+        });
+        this.canvas.render(this.currentDiagram);
+        this.animator.refresh();
+        if (!this.settings.showLabels) {
+            this.toggleLabels(false);
+        }
+    }
+
+    /**
+     * The rendered source and object positions, as restored by undo / redo
+     */
+    captureHistoryState() {
+        return {
+            source: this.renderedSource,
+            positions: this.getPositions()
+        };
+    }
+
+    /**
+     * Record the change since the last recorded state as one snapshot entry;
+     * unlabeled changes are source edits, or layout runs when the source is unchanged
+     */
+    commitHistory(label = null) {
+        if (this.historyPaused || this.editHistory.isApplying || !this.currentDiagram) return;
+
+        const before = this.historyState;
+        const after = this.captureHistoryState();
+        this.historyState = after;
+        if (!before || JSON.stringify(before) === JSON.stringify(after)) return;
+
+        this.editHistory.push({
+            label: label || (before.source !== after.source ? '✏️ 소스 편집' : '📐 자동 배치'),
+            before,
+            after,
+            apply: (state) => this.restoreHistoryState(state)
+        });
+    }
+
+    /**
+     * Record a command that was just performed (object moves)
+     */
+    pushHistory(command) {
+        if (this.editHistory.isApplying) return;
+
+        this.editHistory.push(command);
+        this.historyState = this.captureHistoryState();
+    }
+
+    /**
+     * Bring back a snapshot: regenerate only when the source differs, then move the objects
+     */
+    restoreHistoryState(state) {
+        if (state.source !== this.renderedSource || !this.currentDiagram) {
+            document.getElementById('plantuml-input').value = state.source;
+            this.generateDiagram();
+        }
+        this.applyPositions(state.positions);
+    }
+
+    undo() {
+        this.stepHistory(() => this.editHistory.undo(), '↩️ 실행 취소');
+    }
+
+    redo() {
+        this.stepHistory(() => this.editHistory.redo(), '↪️ 다시 실행');
+    }
+
+    /**
+     * Jump to a point in the history panel; 0 is the state the document was opened in
+     */
+    goToHistory(index) {
+        this.stepHistory(() => {
+            this.editHistory.goTo(index);
+            return this.editHistory.getEntries()[index - 1] || { label: '🏁 처음 상태' };
+        }, '🕘 기록 이동');
+    }
+
+    /**
+     * Shared tail of undo / redo / jump: resync the recorded state and save
+     */
+    stepHistory(step, verb) {
+        if (this.recorder.isRecording) return;
+
+        this.animator.stopAnimation();
+        this.canvas.finishObjectAnimation();
+        const entry = step();
+        if (!entry) return;
+
+        this.historyState = this.captureHistoryState();
+        this.scheduleAutosave();
+        this.showMessage(`${verb}: ${entry.label}`, 'info');
+    }
+
+    /**
+     * Redraw the history panel with the entries that are applied, the current one and the undone ones
+     */
+    renderHistory() {
+        const list = document.getElementById('history-list');
+        const { index } = this.editHistory;
+        const rows = [{ label: '🏁 처음 상태' }, ...this.editHistory.getEntries()];
+
+        list.replaceChildren(...rows.map((entry, position) => {
+            const item = document.createElement('li');
+            item.className = 'history-item';
+            item.classList.toggle('current', position === index);
+            item.classList.toggle('undone', position > index);
+            item.textContent = entry.label;
+            if (entry.time) {
+                item.title = new Date(entry.time).toLocaleTimeString();
+            }
+            item.addEventListener('click', () => this.goToHistory(position));
+            return item;
+        }));
+
+        document.getElementById('undo-btn').disabled = !this.editHistory.canUndo();
+        document.getElementById('redo-btn').disabled = !this.editHistory.canRedo();
+    }
+
+    /**
+     * Open the last active document, or start with the sample on the first visit
+     */
+    restoreDocuments() {
+        const active = this.documents.getActive();
+        if (active) {
+            this.openDocument(active.id);
+            return;
+        }
+
+        const sample = this.documents.create('내 첫 다이어그램', {
+            plantumlSource: PlantUMLParser.getSampleDiagram()
+        });
+        this.openDocument(sample.id);
+    }
+
+    /**
+     * Load a stored document into the editor and canvas
+     */
+    openDocument(id) {
+        const doc = this.documents.get(id);
+        if (!doc) return;
+
+        // Never let a pending autosave write the old editor contents into the new document
+        clearTimeout(this.autosaveTimer);
+
+        this.documents.setActive(id);
+        this.activeDocumentId = id;
+        this.animator.stopAnimation();
+        this.canvas.clear();
+        this.currentDiagram = null;
+
+        // Every document starts with an empty history
+        this.editHistory.clear();
+        this.historyState = null;
+        this.importDiagram(doc.data);
+        this.renderDocumentList();
+        this.showMessage(`'${doc.name}'을(를) 열었습니다.`, 'info');
+    }
+
+    /**
+     * Debounced save of the open document
+     */
+    scheduleAutosave() {
+        if (!this.activeDocumentId) return;
+
+        clearTimeout(this.autosaveTimer);
+        this.autosaveTimer = setTimeout(() => {
+            this.saveActiveDocument();
+            this.updateShareUrl();
+        }, this.autosaveDelay);
+    }
+
+    saveActiveDocument() {
+        clearTimeout(this.autosaveTimer);
+        const doc = this.documents.update(this.activeDocumentId, this.createDocumentData());
+        if (!doc) return;
+
+        this.renderDocumentList();
+        document.getElementById('autosave-status').textContent = this.documents.isPersistent
+            ? `💾 ${new Date(doc.updatedAt).toLocaleTimeString()} 자동 저장됨`
+            : '⚠️ 브라우저 저장소를 사용할 수 없어 저장되지 않습니다';
+    }
+
+    /**
+     * URL fragment describing the open diagram: `#src=<PlantUML encoded>&pos=<id:x,y;...>`
+     * plus `view`, and with includePlayback the `start` object and 1-based timeline `step`
+     */
+    async createShareFragment({ includePlayback = false } = {}) {
+        const data = this.createDocumentData();
+        const parts = [`src=${await PlantUMLEncoder.encode(data.plantumlSource)}`];
+
+        const positions = Object.entries(data.positions)
+            .map(([id, { x, y }]) => `${encodeURIComponent(id)}:${Math.round(x)},${Math.round(y)}`);
+        if (positions.length > 0) {
+            parts.push(`pos=${positions.join(';')}`);
+        }
+        if (data.settings.viewMode !== 'auto') {
+            parts.push(`view=${data.settings.viewMode}`);
+        }
+
+        if (includePlayback && this.animator.timeline.length > 0) {
+            const startObjectId = this.getPlaybackStartObject();
+            if (startObjectId) {
+                parts.push(`start=${encodeURIComponent(startObjectId)}`);
+            }
+            parts.push(`step=${this.animator.playhead.step + 1}`);
+        }
+
+        return `#${parts.join('&')}`;
+    }
+
+    /**
+     * The object a loaded timeline was started from, if any
+     */
+    getPlaybackStartObject() {
+        const source = this.animator.timelineSource;
+        if (!source) return null;
+
+        if (source.targetConnectionId) {
+            const connection = this.animator.connections.find(conn => conn.id === source.targetConnectionId);
+            return connection ? connection.from : null;
+        }
+        return source.type === 'graph' && source.startObjectIds.length === 1 ? source.startObjectIds[0] : null;
+    }
+
+    /**
+     * Read a fragment written by createShareFragment(); null when the URL carries no diagram
+     */
+    parseShareFragment(hash) {
+        const params = new Map(
+            hash.replace(/^#/, '').split('&')
+                .filter(part => part.includes('='))
+                .map(part => [part.slice(0, part.indexOf('=')), part.slice(part.indexOf('=') + 1)])
+        );
+        if (!params.get('src')) return null;
+
+        const positions = {};
+        (params.get('pos') || '').split(';').filter(Boolean).forEach(entry => {
+            const match = entry.match(/^(.+):(-?\d+),(-?\d+)$/);
+            if (match) {
+                positions[decodeURIComponent(match[1])] = { x: Number(match[2]), y: Number(match[3]) };
+            }
+        });
+
+        const step = parseInt(params.get('step'), 10);
+        return {
+            src: params.get('src'),
+            positions,
+            viewMode: params.get('view') || null,
+            startObjectId: params.has('start') ? decodeURIComponent(params.get('start')) : null,
+            step: isNaN(step) ? null : step
+        };
+    }
+
+    /**
+     * Open the diagram in the URL fragment; a document that already holds the same diagram
+     * and layout is reused so that reloading an edited page does not pile up copies
+     */
+    async restoreFromUrl() {
+        const share = this.parseShareFragment(window.location.hash);
+        if (!share) return false;
+
+        try {
+            const source = await PlantUMLEncoder.decode(share.src);
+            const data = {
+                plantumlSource: source,
+                positions: share.positions,
+                settings: share.viewMode ? { viewMode: share.viewMode } : {}
+            };
+
+            // Only a document the link describes exactly is reused; anything else would
+            // overwrite the recipient's own layout
+            const active = this.documents.getActive();
+            const existing = active && this.matchesShare(active.data, source, share)
+                ? active
+                : this.documents.list().find(doc => this.matchesShare(doc.data, source, share));
+
+            if (existing) {
+                this.openDocument(existing.id);
+            } else {
+                this.openDocument(this.documents.create('공유된 다이어그램', data).id);
+            }
+
+            this.applyPlaybackPosition(share.startObjectId, share.step);
+            return true;
+        } catch (error) {
+            console.error('Share link error:', error);
+            this.showMessage('공유 링크를 읽을 수 없습니다.', 'error');
+            return false;
+        }
+    }
+
+    /**
+     * Whether stored document data has the link's source, object positions and view mode
+     */
+    matchesShare(data, source, share) {
+        if (data.plantumlSource !== source) return false;
+        if (((data.settings && data.settings.viewMode) || 'auto') !== (share.viewMode || 'auto')) return false;
+
+        const positions = data.positions || {};
+        const ids = Object.keys(share.positions);
+        return ids.length === Object.keys(positions).length && ids.every(id => positions[id] &&
+            Math.round(positions[id].x) === share.positions[id].x &&
+            Math.round(positions[id].y) === share.positions[id].y);
+    }
+
+    /**
+     * Park the playhead where a shared link points: at an object's flow and/or a 1-based step
+     */
+    applyPlaybackPosition(startObjectId, step) {
+        if (!this.currentDiagram || (startObjectId === null && step === null)) return;
+
+        const known = startObjectId !== null && this.currentDiagram.objects.some(obj => obj.id === startObjectId);
+        if (!this.animator.loadFlowTimeline(known ? startObjectId : null)) return;
+
+        this.animator.seek(step !== null ? step - 1 : this.animator.playhead.step, step !== null ? 1 : 0);
+    }
+
+    /**
+     * Mirror the open diagram into the address bar without adding history entries
+     */
+    async updateShareUrl() {
+        if (!this.currentDiagram) return;
+
+        const request = ++this.shareUrlRequest;
+        try {
+            const fragment = await this.createShareFragment();
+            // A newer edit may have finished encoding first; an unchanged diagram keeps
+            // the playback position of the link it was opened from
+            if (request === this.shareUrlRequest && !window.location.hash.startsWith(fragment)) {
+                history.replaceState(null, '', fragment);
+            }
+        } catch (error) {
+            console.error('Share URL error:', error);
+        }
+    }
+
+    /**
+     * Copy a link to the diagram, including the current playback position
+     */
+    async copyShareLink() {
+        if (!this.currentDiagram) {
+            this.showMessage('먼저 다이어그램을 생성해주세요.', 'warning');
+            return;
+        }
+
+        try {
+            const fragment = await this.createShareFragment({ includePlayback: true });
+            history.replaceState(null, '', fragment);
+            await navigator.clipboard.writeText(window.location.href);
+            this.showMessage('공유 링크를 클립보드에 복사했습니다.', 'success');
+        } catch (error) {
+            console.error('Copy link error:', error);
+            this.showMessage('링크를 복사하지 못했습니다. 주소창의 링크를 사용하세요.', 'warning');
+        }
+    }
+
+    createDocument() {
+        this.saveActiveDocument();
+        const doc = this.documents.create('새 다이어그램', {
+            plantumlSource: '@startuml\nAlice -> Bob: 안녕하세요\n@enduml'
+        });
+        this.openDocument(doc.id);
+    }
+
+    renameDocument() {
+        const doc = this.documents.get(this.activeDocumentId);
+        if (!doc) return;
+
+        const name = prompt('새 이름을 입력하세요.', doc.name);
+        if (name && this.documents.rename(doc.id, name)) {
+            this.renderDocumentList();
+        }
+    }
+
+    duplicateDocument() {
+        this.saveActiveDocument();
+        const copy = this.documents.duplicate(this.activeDocumentId);
+        if (copy) {
+            this.openDocument(copy.id);
+        }
+    }
+
+    deleteDocument() {
+        const doc = this.documents.get(this.activeDocumentId);
+        if (!doc || !confirm(`'${doc.name}'을(를) 삭제할까요?`)) return;
+
+        clearTimeout(this.autosaveTimer);
+        this.activeDocumentId = null;
+        this.documents.remove(doc.id);
+
+        const next = this.documents.getActive();
+        if (next) {
+            this.openDocument(next.id);
+        } else {
+            this.restoreDocuments();
+        }
+    }
+
+    /**
+     * Redraw the sidebar list with the active document marked
+     */
+    renderDocumentList() {
+        const list = document.getElementById('document-list');
+
+        list.replaceChildren(...this.documents.list().map(doc => {
+            const item = document.createElement('li');
+            item.className = 'document-item';
+            item.classList.toggle('active', doc.id === this.activeDocumentId);
+            item.textContent = doc.name;
+            item.title = doc.name;
+
+            const updated = document.createElement('small');
+            updated.textContent = new Date(doc.updatedAt).toLocaleString();
+            item.appendChild(updated);
+
+            item.addEventListener('click', () => {
+                if (doc.id === this.activeDocumentId) return;
+                this.saveActiveDocument();
+                this.openDocument(doc.id);
+            });
+            item.addEventListener('dblclick', () => this.renameDocument());
+            return item;
+        }));
     }
 
     /**
@@ -536,22 +1863,40 @@ class AnimatedPlantUMLApp {
 • Ctrl/Cmd + Enter: 다이어그램 생성
 • Ctrl/Cmd + Space: 전체 애니메이션 실행
 • Ctrl/Cmd + R: 다이어그램 리셋
+• Ctrl/Cmd + Z / Shift + Z: 실행 취소 / 다시 실행
 • Ctrl/Cmd + +/-: 애니메이션 속도 조절
 • Ctrl/Cmd + 1-4: 샘플 선택
-• Space: 애니메이션 실행
+• Space: 재생 / 일시정지
+• ← / →: 이전 / 다음 단계
+• 화살표 (객체 선택 시): 미세 이동, Shift: 10px
 • Tab: 다음 객체로 포커스 이동
 • Esc: 애니메이션 중지
 • H or ?: 도움말 표시
 
 🖱️ 마우스 조작:
-• 객체 드래그: 위치 이동
+• 객체 드래그: 위치 이동 (선택한 객체는 함께 이동)
+• Shift + 클릭, 빈 공간 드래그: 여러 객체 선택
 • 객체 클릭: 해당 지점부터 애니메이션
-• 빈 공간 클릭: 애니메이션 중지
+• 빈 공간 클릭: 애니메이션 중지, 선택 해제
+• 휠 / 핀치: 확대 / 축소
+• Space + 드래그, 가운데 버튼 드래그: 화면 이동
+• 객체 오른쪽 클릭: 객체 메뉴
+
+👆 터치 조작:
+• 객체 탭 / 드래그: 애니메이션 / 위치 이동
+• 객체 길게 누르기: 객체 메뉴
+• 빈 공간 드래그: 화면 이동
+• 두 손가락: 확대 / 축소
 
 🎨 기능:
 • 실시간 드래그앤드롭
 • 다양한 PlantUML 문법 지원
 • 흐름 애니메이션
+• 자동 배치 (격자 / 힘 기반 / 계층형 / 원형)
+• 연결선 모양 (직선 / 직각 / 곡선, 객체 피하기)
+• 겹치지 않는 라벨 배치, 긴 라벨 줄바꿈 (\\n)
+• 메시지 토큰 (점 / 봉투 / 라벨 알약, 병렬 메시지는 동시에 이동)
+• 메시지 시간 ({duration=120ms}, teoz {start} <-> {end}) 과 실제 시간 비례 재생
 • 여러 샘플 예제
         `;
 
@@ -0,0 +1,108 @@
+/**
+ * PlantUML Encoder - PlantUML's text encoding (raw deflate + PlantUML base64)
+ *
+ * Encoded text is interchangeable with plantuml.com/plantuml/uml/<encoded> links.
+ * Browsers without CompressionStream fall back to PlantUML's `~h` hex form.
+ */
+class PlantUMLEncoder {
+    static get alphabet() {
+        return '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz-_';
+    }
+
+    /**
+     * Encode PlantUML source text
+     */
+    static async encode(text) {
+        const bytes = new TextEncoder().encode(text);
+
+        if (typeof CompressionStream === 'undefined') {
+            return '~h' + Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+        }
+
+        const compressed = await PlantUMLEncoder.transform(bytes, new CompressionStream('deflate-raw'));
+        return PlantUMLEncoder.toBase64(compressed);
+    }
+
+    /**
+     * Decode text produced by encode() or by PlantUML itself
+     */
+    static async decode(encoded) {
+        if (encoded.startsWith('~h')) {
+            const hex = encoded.slice(2).match(/../g) || [];
+            return new TextDecoder().decode(new Uint8Array(hex.map(pair => parseInt(pair, 16))));
+        }
+
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('이 브라우저는 압축된 PlantUML 링크를 지원하지 않습니다.');
+        }
+
+        // The last 3-byte group is zero padded; some browsers reject bytes after the deflate stream
+        const bytes = PlantUMLEncoder.fromBase64(encoded.replace(/^~1/, ''));
+        let lastError = null;
+        for (let padding = 0; padding <= 2 && padding < bytes.length; padding++) {
+            try {
+                const inflated = await PlantUMLEncoder.transform(
+                    bytes.subarray(0, bytes.length - padding),
+                    new DecompressionStream('deflate-raw')
+                );
+                return new TextDecoder().decode(inflated);
+            } catch (error) {
+                lastError = error;
+            }
+        }
+        throw lastError;
+    }
+
+    /**
+     * Pipe bytes through a (de)compression stream and collect the output
+     */
+    static async transform(bytes, stream) {
+        const output = new Blob([bytes]).stream().pipeThrough(stream);
+        return new Uint8Array(await new Response(output).arrayBuffer());
+    }
+
+    /**
+     * Three bytes become four 6-bit characters, zero padding the last group
+     */
+    static toBase64(bytes) {
+        const alphabet = PlantUMLEncoder.alphabet;
+        let result = '';
+
+        for (let i = 0; i < bytes.length; i += 3) {
+            const b1 = bytes[i];
+            const b2 = i + 1 < bytes.length ? bytes[i + 1] : 0;
+            const b3 = i + 2 < bytes.length ? bytes[i + 2] : 0;
+
+            result += alphabet[b1 >> 2];
+            result += alphabet[((b1 & 0x3) << 4) | (b2 >> 4)];
+            result += alphabet[((b2 & 0xF) << 2) | (b3 >> 6)];
+            result += alphabet[b3 & 0x3F];
+        }
+
+        return result;
+    }
+
+    static fromBase64(text) {
+        const alphabet = PlantUMLEncoder.alphabet;
+        const bytes = [];
+
+        for (let i = 0; i < text.length; i += 4) {
+            const [c1, c2, c3, c4] = [0, 1, 2, 3].map(offset => {
+                const value = alphabet.indexOf(text[i + offset] || '0');
+                if (value === -1) {
+                    throw new Error(`잘못된 PlantUML 인코딩 문자: ${text[i + offset]}`);
+                }
+                return value;
+            });
+
+            bytes.push((c1 << 2) | (c2 >> 4), ((c2 & 0xF) << 4) | (c3 >> 2), ((c3 & 0x3) << 6) | c4);
+        }
+
+        return new Uint8Array(bytes);
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PlantUMLEncoder;
+}
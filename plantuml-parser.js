@@ -5,6 +5,18 @@ class PlantUMLParser {
     constructor() {
         this.objects = new Map();
         this.connections = [];
+        this.fragments = [];
+        this.sequence = [];
+        this.fragmentStack = [];
+        this.notes = [];
+        this.openNote = null;
+        this.activations = [];
+        this.activationStack = [];
+        this.timeConstraints = [];
+        this.diagnostics = [];
+        this.currentEntry = null;
+        this.ignoredBlockEnd = null;
+        this.rowCount = 0;
         this.objectTypes = {
             ACTOR: 'actor',
             ENTITY: 'entity',
@@ -13,6 +25,86 @@ class PlantUMLParser {
             DATABASE: 'database',
             PARTICIPANT: 'participant'
         };
+        this.fragmentTypes = ['alt', 'opt', 'loop', 'par', 'break', 'critical', 'group'];
+
+        // Longer arrows first so that `-->` is never read as `-` + `->`
+        this.arrowPatterns = [
+            { arrow: '<<-', type: 'reverse_double', reverse: true },
+            { arrow: '<--', type: 'reverse_dashed', reverse: true },
+            { arrow: '<..', type: 'reverse_dotted', reverse: true },
+            { arrow: '<-', type: 'reverse_solid', reverse: true },
+            { arrow: '->>', type: 'double' },
+            { arrow: '-->', type: 'dashed' },
+            { arrow: '->', type: 'solid' },
+            { arrow: '..>', type: 'dotted' },
+            { arrow: '...', type: 'dotted_line' },
+            { arrow: '\\\\', type: 'break' },
+            { arrow: '||', type: 'parallel' },
+            { arrow: 'o|', type: 'circle_start' },
+            { arrow: '|o', type: 'circle_end' }
+        ];
+        this.messageRegex = this.buildMessageRegex();
+
+        // Valid PlantUML that this tool does not draw; reported as info instead of errors
+        this.ignoredDirectives = /^(title|skinparam|autonumber|hide|show|header|footer|caption|scale|newpage|box|end\s?box|create|destroy|autoactivate|mainframe|left to right direction|top to bottom direction|class|interface|abstract|enum|component|usecase|node|package|state|rectangle|artifact|cloud|folder|frame|storage)\b|^!\w+|^==.*==$|^\.\.\.|^\|\|\d*\|\|$/;
+        this.ignoredBlocks = [
+            { start: /^skinparam\b.*\{$/, end: /^\}$/ },
+            { start: /^legend\b/, end: /^end\s?legend$/ },
+            { start: /^ref\s+over\b[^:]*$/, end: /^end\s?ref$/ }
+        ];
+
+        // Geometry of the lifeline (sequence) layout
+        this.sequenceMetrics = {
+            padding: 50,
+            top: 30,
+            columnGap: 60,
+            minColumnWidth: 180,
+            rowHeight: 40,
+            noteLineHeight: 16
+        };
+    }
+
+    /**
+     * Build the message regex from the supported arrow list
+     */
+    buildMessageRegex() {
+        const participant = '("[^"]+"|[^\\s\\-<>:|\\\\+*!]+)';
+        const arrows = this.arrowPatterns
+            .map(pattern => pattern.arrow.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+            .join('|');
+
+        // Trailing `++` / `--` / `**` / `!!` activate, deactivate, create or destroy
+        const modifiers = '((?:\\+\\+|--|\\*\\*|!!)*)';
+
+        return new RegExp(`^${participant}\\s*(${arrows})\\s*${participant}\\s*${modifiers}\\s*(?::\\s*(.*))?$`);
+    }
+
+    /**
+     * Match a message line such as `A -> B: label`
+     */
+    matchMessage(line) {
+        const match = line.match(this.messageRegex);
+        if (!match) return null;
+
+        const [, fromId, arrow, toId, modifiers, label] = match;
+        const pattern = this.arrowPatterns.find(candidate => candidate.arrow === arrow);
+
+        return {
+            from: this.stripQuotes(fromId),
+            to: this.stripQuotes(toId),
+            arrow,
+            label: (label || '').trim(),
+            type: pattern.type,
+            reverse: !!pattern.reverse,
+            modifiers: modifiers || ''
+        };
+    }
+
+    /**
+     * Remove surrounding quotes from a participant reference
+     */
+    stripQuotes(value) {
+        return value.replace(/^"(.*)"$/, '$1');
     }
 
     /**
@@ -21,32 +113,226 @@ class PlantUMLParser {
     parse(plantumlText) {
         this.reset();
         
-        const lines = plantumlText
-            .split('\n')
-            .map(line => line.trim())
-            .filter(line => line && !line.startsWith('@') && !line.startsWith("'"));
+        const entries = this.readLines(plantumlText);
+        const lines = entries.map(entry => entry.text);
 
-        // First pass: identify objects
-        lines.forEach(line => this.parseObjectDefinition(line));
+        // First pass: identify objects (the body of a note block is free text)
+        const declarations = new Set();
+        let inNoteBlock = false;
+        entries.forEach(entry => {
+            if (inNoteBlock) {
+                inNoteBlock = !this.isNoteEnd(entry.text);
+                return;
+            }
+            const note = this.matchNote(entry.text);
+            inNoteBlock = !!note && note.text === null;
+            if (this.parseObjectDefinition(entry.text)) {
+                declarations.add(entry);
+            }
+        });
         
-        // Second pass: identify connections
-        lines.forEach(line => this.parseConnection(line));
+        // Second pass: identify notes, fragments and connections in source order
+        entries.forEach(entry => {
+            this.currentEntry = entry;
+            const line = entry.text;
+
+            if (this.parseNote(line)) return;
+            if (this.skipIgnoredBlock(line)) return;
+            if (this.parseFragment(line)) return;
+            if (this.parseTimeConstraint(line)) return;
+            if (this.parseConnection(line)) return;
+            if (!declarations.has(entry)) {
+                this.reportUnrecognizedLine(line);
+            }
+        });
+
+        // A note block missing its `end note` keeps the text collected so far
+        if (this.openNote) {
+            this.addDiagnostic('warning', "닫히지 않은 노트 ('end note' 누락)", this.openNote.entry);
+            this.addNote(this.openNote);
+        }
+
+        this.fragmentStack.forEach(fragment => {
+            const entry = entries.find(candidate => candidate.number === fragment.line);
+            this.addDiagnostic('error', `닫히지 않은 ${fragment.type} 블록 ('end' 누락)`,
+                entry, 0, fragment.type.length);
+        });
+
+        // Teoz spans must point at `{anchor}` messages
+        const anchors = new Set(this.connections.map(conn => conn.anchor).filter(Boolean));
+        this.timeConstraints.forEach(constraint => {
+            const entry = entries.find(candidate => candidate.number === constraint.line);
+            [constraint.from, constraint.to]
+                .filter(anchor => !anchors.has(anchor))
+                .forEach(anchor => {
+                    const start = entry.text.indexOf(`{${anchor}}`);
+                    this.addDiagnostic('warning', `정의되지 않은 시간 기준점 '{${anchor}}'`,
+                        entry, start, start + anchor.length + 2);
+                });
+        });
+
+        // Activations never deactivated last until the end of their lifeline
+        this.activations
+            .filter(activation => activation.endRow === null)
+            .forEach(activation => {
+                activation.endRow = this.rowCount - 0.5;
+            });
+        this.activationStack = [];
+
+        // Fragments left open by a missing `end` run to the last row
+        this.fragments
+            .filter(fragment => fragment.endRow === null)
+            .forEach(fragment => {
+                fragment.endRow = this.rowCount++;
+            });
 
         return {
             objects: Array.from(this.objects.values()),
-            connections: this.connections
+            connections: this.connections,
+            fragments: this.fragments,
+            notes: this.notes,
+            activations: this.activations,
+            timeConstraints: this.timeConstraints,
+            sequence: this.sequence,
+            rowCount: this.rowCount,
+            diagnostics: this.diagnostics.sort((a, b) => a.line - b.line || a.startColumn - b.startColumn),
+            diagramType: this.detectDiagramType(lines)
         };
     }
 
+    /**
+     * Split the source into trimmed lines that remember their line number and indentation,
+     * dropping blanks, comments and @start/@end markers
+     */
+    readLines(plantumlText) {
+        const entries = [];
+        let inBlockComment = false;
+
+        plantumlText.split('\n').forEach((raw, index) => {
+            const text = raw.trim();
+
+            if (inBlockComment) {
+                inBlockComment = !text.includes("'/");
+                return;
+            }
+            if (text.startsWith("/'")) {
+                inBlockComment = !text.slice(2).includes("'/");
+                return;
+            }
+            if (!text || text.startsWith('@') || text.startsWith("'")) return;
+
+            entries.push({
+                text,
+                number: index + 1,
+                column: raw.length - raw.trimStart().length + 1
+            });
+        });
+
+        return entries;
+    }
+
+    /**
+     * Record a problem for a source line; offsets are relative to the trimmed text
+     * (columns are 1-based, endColumn is exclusive)
+     */
+    addDiagnostic(severity, message, entry = this.currentEntry, start = 0, end = null) {
+        if (!entry) return;
+
+        this.diagnostics.push({
+            line: entry.number,
+            startColumn: entry.column + start,
+            endColumn: entry.column + (end === null ? entry.text.length : end),
+            severity,
+            message
+        });
+    }
+
+    /**
+     * Skip multi-line constructs this tool does not draw (skinparam { }, legend, ref over)
+     */
+    skipIgnoredBlock(line) {
+        if (this.ignoredBlockEnd) {
+            if (this.ignoredBlockEnd.test(line)) {
+                this.ignoredBlockEnd = null;
+            }
+            return true;
+        }
+
+        const block = this.ignoredBlocks.find(candidate => candidate.start.test(line));
+        if (!block) return false;
+
+        this.ignoredBlockEnd = block.end;
+        this.addDiagnostic('info', `지원되지 않는 블록이라 무시됨: ${line.split(/\s+/)[0]}`);
+        return true;
+    }
+
+    /**
+     * Explain why a line produced nothing
+     */
+    reportUnrecognizedLine(line) {
+        if (this.ignoredDirectives.test(line)) {
+            this.addDiagnostic('info', `지원되지 않는 구문이라 무시됨: ${line.split(/\s+/)[0]}`);
+            return;
+        }
+
+        // `A <token> B [: label]` where the token has arrow characters, e.g. `A -x B` or `A ->o B`
+        const shape = line.match(/^("[^"]+"|[^\s:"]+)\s+([^\s:"]*[-.=~<>][^\s:"]*)\s+("[^"]+"|[^\s:"]+)\s*(?::.*)?$/);
+        if (shape) {
+            const start = line.indexOf(shape[2], shape[1].length);
+            this.addDiagnostic('error', `알 수 없는 화살표 구문 '${shape[2]}'`, this.currentEntry, start, start + shape[2].length);
+            return;
+        }
+
+        // Something shaped like an arrow between two names
+        const arrow = line.match(/<*[-.=~]+(?:\[[^\]]*\])?[-.=~]*>*/g);
+        const token = (arrow || []).find(candidate => /[<>]/.test(candidate) || /[-.=~]{2}/.test(candidate));
+        if (token) {
+            const start = line.indexOf(token);
+            this.addDiagnostic('error', `알 수 없는 화살표 구문 '${token}'`, this.currentEntry, start, start + token.length);
+            return;
+        }
+
+        this.addDiagnostic('warning', '인식할 수 없는 줄이라 무시됨');
+    }
+
+    /**
+     * Detect whether the text is a sequence diagram or a free-form graph
+     */
+    detectDiagramType(lines) {
+        const graphKeywords = /^(class|interface|abstract|enum|component|usecase|node|package|state|rectangle|artifact|cloud|folder|frame|storage)\b|^\[.+\]|^\(.+\)/;
+        const hasMessages = this.connections.some(conn => conn.from && conn.to);
+
+        if (!hasMessages || lines.some(line => graphKeywords.test(line))) {
+            return 'graph';
+        }
+
+        return 'sequence';
+    }
+
     reset() {
         this.objects.clear();
         this.connections = [];
+        this.fragments = [];
+        this.sequence = [];
+        this.fragmentStack = [];
+        this.notes = [];
+        this.openNote = null;
+        this.activations = [];
+        this.activationStack = [];
+        this.timeConstraints = [];
+        this.diagnostics = [];
+        this.currentEntry = null;
+        this.ignoredBlockEnd = null;
+        this.rowCount = 0;
     }
 
     /**
-     * Parse object definitions (actors, participants, entities)
+     * Parse object definitions (actors, participants, entities); true for declaration lines
      */
     parseObjectDefinition(line) {
+        // Fragment headers may contain arrows in their guard text
+        if (this.isFragmentLine(line)) return false;
+
         // Enhanced pattern matching for various object types
         const patterns = [
             { regex: /^actor\s+"?([^"]+)"?\s+as\s+(\w+)|^actor\s+(\w+)/, type: this.objectTypes.ACTOR },
@@ -66,107 +352,378 @@ class PlantUMLParser {
                 const name = match[1] || match[3];
                 const id = match[2] || match[3];
                 this.addObject(id, name, pattern.type);
-                return;
+                return true;
             }
         }
 
-        // Extract objects from connection lines with enhanced pattern matching
-        const connectionPatterns = [
-            /(\w+|\S+)\s*(->|-->|<-|<--|->>|<<-|\.\.>|\.\.|<\.\.|\.\.\.|<\.\.\.|\\\\|\||o\||\||o)\s*(\w+|\S+)\s*:\s*(.*)/,
-            /(\w+|\S+)\s*(->|-->|<-|<--|->>|<<-)\s*(\w+|\S+)$/,
-            // Support for activate/deactivate
-            /^activate\s+(\w+)/, 
-            /^deactivate\s+(\w+)/
-        ];
+        // Extract objects from message lines (timing metadata would hide the arrow)
+        const message = this.matchMessage(this.readTiming(line).text);
+        if (message) {
+            this.addObject(message.from, message.from, this.objectTypes.PARTICIPANT);
+            this.addObject(message.to, message.to, this.objectTypes.PARTICIPANT);
+            return false;
+        }
 
-        for (const pattern of connectionPatterns) {
-            const match = line.match(pattern);
-            if (match && match[1] && match[3]) {
-                this.addObject(match[1], match[1], this.objectTypes.PARTICIPANT);
-                this.addObject(match[3], match[3], this.objectTypes.PARTICIPANT);
-                return;
-            } else if (match && match[1] && !match[3]) {
-                // For activate/deactivate commands
-                this.addObject(match[1], match[1], this.objectTypes.PARTICIPANT);
+        // Support for activate/deactivate
+        const activateMatch = line.match(/^(?:activate|deactivate)\s+(\w+)/);
+        if (activateMatch) {
+            this.addObject(activateMatch[1], activateMatch[1], this.objectTypes.PARTICIPANT);
+            return false;
+        }
+
+        // Support for note definitions
+        const note = this.matchNote(line);
+        if (note) {
+            note.participants.forEach(id => this.addObject(id, id, this.objectTypes.PARTICIPANT));
+        }
+        return false;
+    }
+
+    /**
+     * Match a note header such as `note left of A: text` or `note over A, B`
+     * (text is null when the note continues until `end note`)
+     */
+    matchNote(line) {
+        const match = line.match(/^[hr]?note\s+(left|right|over)\b(?:\s+of\b)?\s*([^:]*?)\s*(?::\s*(.*))?$/);
+        if (!match) return null;
+
+        return {
+            position: match[1],
+            participants: match[2]
+                .split(',')
+                .map(id => this.stripQuotes(id.trim()))
+                .filter(Boolean),
+            text: match[3] !== undefined ? match[3] : null
+        };
+    }
+
+    /**
+     * Check whether a line closes a multi-line note
+     */
+    isNoteEnd(line) {
+        return /^end\s?[hr]?note$/.test(line);
+    }
+
+    /**
+     * Parse single-line notes and collect multi-line note blocks
+     */
+    parseNote(line) {
+        if (this.openNote) {
+            if (this.isNoteEnd(line)) {
+                this.addNote(this.openNote);
+                this.openNote = null;
+            } else {
+                this.openNote.lines.push(line);
+            }
+            return true;
+        }
+
+        const note = this.matchNote(line);
+        if (!note) return false;
+
+        if (note.text === null) {
+            this.openNote = { ...note, lines: [], entry: this.currentEntry };
+        } else {
+            this.addNote({ ...note, lines: note.text.split('\\n'), entry: this.currentEntry });
+        }
+        return true;
+    }
+
+    /**
+     * Add a note; notes without participants attach to the previous message
+     */
+    addNote({ position, participants, lines, entry }) {
+        const note = {
+            id: `note-${this.notes.length}`,
+            position,
+            participants,
+            text: lines.join('\n'),
+            lines,
+            anchorConnectionId: null,
+            row: null,
+            rowSpan: 1
+        };
+
+        if (participants.length === 0) {
+            const anchor = this.connections.filter(conn => conn.from && conn.to).pop();
+            if (!anchor) {
+                this.addDiagnostic('warning', '노트를 붙일 앞선 메시지가 없어 무시됨', entry);
                 return;
             }
+
+            note.participants = [anchor.from, anchor.to];
+            note.anchorConnectionId = anchor.id;
+            note.row = anchor.row;
+        } else {
+            const { rowHeight, noteLineHeight } = this.sequenceMetrics;
+            note.rowSpan = Math.max(1, Math.ceil((lines.length * noteLineHeight + 12) / rowHeight));
+            note.row = this.rowCount;
+            this.rowCount += note.rowSpan;
         }
 
-        // Support for note definitions
-        const noteMatch = line.match(/^note\s+(left|right|over)\s+(\w+)\s*:\s*(.*)|^note\s+(left|right)\s*:\s*(.*)/);
-        if (noteMatch) {
-            if (noteMatch[2]) {
-                this.addObject(noteMatch[2], noteMatch[2], this.objectTypes.PARTICIPANT);
+        this.notes.push(note);
+        this.currentItems().push({ kind: 'note', id: note.id });
+    }
+
+    /**
+     * Check whether a line opens, splits or closes a combined fragment
+     */
+    isFragmentLine(line) {
+        const keyword = line.split(/\s+/)[0];
+        return this.fragmentTypes.includes(keyword) || keyword === 'else' || line === 'end';
+    }
+
+    /**
+     * Parse combined fragment lines (alt / else / opt / loop / par / break / critical / group / end)
+     */
+    parseFragment(line) {
+        if (!this.isFragmentLine(line)) return false;
+
+        const [keyword] = line.split(/\s+/);
+        const label = line.slice(keyword.length).trim();
+        const current = this.fragmentStack[this.fragmentStack.length - 1];
+
+        if (keyword === 'end') {
+            if (current) {
+                current.endRow = this.rowCount++;
+                this.fragmentStack.pop();
+            } else {
+                this.addDiagnostic('warning', "짝이 맞는 블록이 없는 'end'");
+            }
+            return true;
+        }
+
+        if (keyword === 'else') {
+            // A stray `else` outside of any fragment is ignored
+            if (current) {
+                current.branches.push({ label, items: [], startRow: this.rowCount++ });
+            } else {
+                this.addDiagnostic('warning', "블록 밖의 'else'라 무시됨", this.currentEntry, 0, keyword.length);
             }
+            return true;
         }
+
+        const fragment = {
+            id: `fragment-${this.fragments.length}`,
+            type: keyword,
+            label,
+            parentId: current ? current.id : null,
+            depth: this.fragmentStack.length,
+            iterations: keyword === 'loop' ? this.parseLoopIterations(label) : null,
+            startRow: this.rowCount,
+            endRow: null,
+            line: this.currentEntry ? this.currentEntry.number : null,
+            branches: [{ label, items: [], startRow: this.rowCount++ }]
+        };
+
+        this.currentItems().push({ kind: 'fragment', id: fragment.id });
+        this.fragments.push(fragment);
+        this.fragmentStack.push(fragment);
+        return true;
+    }
+
+    /**
+     * Read an explicit repeat count such as `loop 3 times` (`3`, `3x`, `3회`, `3번`); only a leading
+     * count counts, so guards like `retry until HTTP 200` use the configured loop iterations
+     */
+    parseLoopIterations(label) {
+        const match = label.match(/^(\d+)(?:\s*(?:times|x|회|번))?\b/i);
+        return match ? parseInt(match[1], 10) : null;
+    }
+
+    /**
+     * Item list of the innermost open fragment branch (or the root sequence)
+     */
+    currentItems() {
+        const current = this.fragmentStack[this.fragmentStack.length - 1];
+        if (!current) return this.sequence;
+
+        return current.branches[current.branches.length - 1].items;
+    }
+
+    /**
+     * Parse a teoz time span between two anchored messages: `{start} <-> {end} : 3s`
+     */
+    parseTimeConstraint(line) {
+        const match = line.match(/^\{(\w+)\}\s*<->\s*\{(\w+)\}\s*(?::\s*(.*))?$/);
+        if (!match) return false;
+
+        const label = (match[3] || '').trim();
+        const duration = this.parseDuration(label, true);
+        if (duration === null) {
+            this.addDiagnostic('info', '시간이 적히지 않은 구간이라 재생 시간에 반영되지 않음 (예: 3s, 120ms)');
+        }
+
+        this.timeConstraints.push({
+            id: `constraint-${this.timeConstraints.length}`,
+            from: match[1],
+            to: match[2],
+            label,
+            duration,
+            line: this.currentEntry ? this.currentEntry.number : null
+        });
+        return true;
+    }
+
+    /**
+     * Split timing metadata off a message line: a teoz `{anchor}` prefix and a `{duration=120ms}` tag
+     */
+    readTiming(line) {
+        let text = line;
+        let anchor = null;
+        let duration = null;
+        let invalidDuration = null;
+
+        const anchorMatch = text.match(/^\{(\w+)\}\s*/);
+        if (anchorMatch) {
+            anchor = anchorMatch[1];
+            text = text.slice(anchorMatch[0].length);
+        }
+
+        const durationMatch = text.match(/\{\s*duration\s*=\s*([^}]*)\}/i);
+        if (durationMatch) {
+            duration = this.parseDuration(durationMatch[1]);
+            if (duration === null) {
+                const start = line.indexOf(durationMatch[0]);
+                invalidDuration = { value: durationMatch[1].trim(), start, end: start + durationMatch[0].length };
+            }
+            text = `${text.slice(0, durationMatch.index)} ${text.slice(durationMatch.index + durationMatch[0].length)}`.trim();
+        }
+
+        return { text, anchor, duration, invalidDuration };
+    }
+
+    /**
+     * Milliseconds in a time such as `120ms`, `1.5s`, `2min` or `3초` (a bare number is ms);
+     * inside a free-text label only a number with a unit counts. Null when there is no time
+     */
+    parseDuration(text, inLabel = false) {
+        const time = '(\\d+(?:\\.\\d+)?)\\s*(ms|seconds?|secs?|s|minutes?|mins?|m|초|분)';
+        const match = inLabel
+            ? text.match(new RegExp(`${time}(?![a-z])`, 'i'))
+            : text.trim().match(new RegExp(`^${time}?$`, 'i'));
+        if (!match) return null;
+
+        const unit = (match[2] || 'ms').toLowerCase();
+        const scale = unit === 'ms' ? 1 : /^(s|초)/.test(unit) ? 1000 : 60000;
+        return parseFloat(match[1]) * scale;
     }
 
     /**
      * Parse connections between objects
      */
     parseConnection(line) {
-        // Enhanced pattern matching for various arrow types and connection styles
-        const connectionPatterns = [
-            // Basic arrows
-            { regex: /(\w+|\S+)\s*(->)\s*(\w+|\S+)\s*:\s*(.*)/, type: 'solid' },
-            { regex: /(\w+|\S+)\s*(-->)\s*(\w+|\S+)\s*:\s*(.*)/, type: 'dashed' },
-            { regex: /(\w+|\S+)\s*(<-)\s*(\w+|\S+)\s*:\s*(.*)/, type: 'reverse_solid', reverse: true },
-            { regex: /(\w+|\S+)\s*(<--)\s*(\w+|\S+)\s*:\s*(.*)/, type: 'reverse_dashed', reverse: true },
-            { regex: /(\w+|\S+)\s*(->>)\s*(\w+|\S+)\s*:\s*(.*)/, type: 'double' },
-            { regex: /(\w+|\S+)\s*(<<-)\s*(\w+|\S+)\s*:\s*(.*)/, type: 'reverse_double', reverse: true },
-            
-            // Dotted connections
-            { regex: /(\w+|\S+)\s*(\.\.>)\s*(\w+|\S+)\s*:\s*(.*)/, type: 'dotted' },
-            { regex: /(\w+|\S+)\s*(<\.\.)\s*(\w+|\S+)\s*:\s*(.*)/, type: 'reverse_dotted', reverse: true },
-            { regex: /(\w+|\S+)\s*(\.\.\.)\s*(\w+|\S+)\s*:\s*(.*)/, type: 'dotted_line' },
-            
-            // Special connections
-            { regex: /(\w+|\S+)\s*(\\\\)\s*(\w+|\S+)\s*:\s*(.*)/, type: 'break' },
-            { regex: /(\w+|\S+)\s*(\|\|)\s*(\w+|\S+)\s*:\s*(.*)/, type: 'parallel' },
-            { regex: /(\w+|\S+)\s*(o\|)\s*(\w+|\S+)\s*:\s*(.*)/, type: 'circle_start' },
-            { regex: /(\w+|\S+)\s*(\|o)\s*(\w+|\S+)\s*:\s*(.*)/, type: 'circle_end' },
-            
-            // Arrows without labels
-            { regex: /(\w+|\S+)\s*(->)\s*(\w+|\S+)$/, type: 'solid', label: '' },
-            { regex: /(\w+|\S+)\s*(-->)\s*(\w+|\S+)$/, type: 'dashed', label: '' },
-            { regex: /(\w+|\S+)\s*(<-)\s*(\w+|\S+)$/, type: 'reverse_solid', reverse: true, label: '' },
-            { regex: /(\w+|\S+)\s*(<--)\s*(\w+|\S+)$/, type: 'reverse_dashed', reverse: true, label: '' }
-        ];
+        const timing = this.readTiming(line);
+        const reportTiming = () => {
+            const invalid = timing.invalidDuration;
+            if (invalid) {
+                this.addDiagnostic('warning', `잘못된 시간 값 '${invalid.value}' (예: 120ms, 1.5s)`,
+                    this.currentEntry, invalid.start, invalid.end);
+            }
+        };
 
-        for (const pattern of connectionPatterns) {
-            const match = line.match(pattern.regex);
-            if (match) {
-                const [, fromId, arrow, toId, label] = match;
-                
-                // Handle reverse arrows
-                let actualFrom = fromId;
-                let actualTo = toId;
-                if (pattern.reverse) {
-                    actualFrom = toId;
-                    actualTo = fromId;
-                }
-
-                this.addConnection(actualFrom, actualTo, (label || pattern.label || '').trim(), arrow, pattern.type);
-                return;
+        const message = this.matchMessage(timing.text);
+        if (message) {
+            // Handle reverse arrows
+            const from = message.reverse ? message.to : message.from;
+            const to = message.reverse ? message.from : message.to;
+
+            const connection = this.addConnection(from, to, message.label, message.arrow, message.type);
+            connection.duration = timing.duration;
+            connection.anchor = timing.anchor;
+            reportTiming();
+
+            // `++` activates the target, `--` deactivates the source
+            if (message.modifiers.includes('--')) {
+                this.addCommand('deactivate', from);
             }
+            if (message.modifiers.includes('++')) {
+                this.addCommand('activate', to, connection.from);
+            }
+            return true;
+        }
+
+        // `return` answers the caller of the innermost activation and deactivates it
+        const returnMatch = timing.text.match(/^return\b\s*(.*)$/);
+        if (returnMatch) {
+            const top = this.activationStack[this.activationStack.length - 1];
+            if (top && top.caller) {
+                const connection = this.addConnection(top.participant, top.caller, returnMatch[1], '-->', 'dashed');
+                connection.duration = timing.duration;
+                connection.anchor = timing.anchor;
+                reportTiming();
+            }
+            if (top) {
+                this.addCommand('deactivate', top.participant);
+            } else {
+                this.addDiagnostic('warning', "활성화된 참여자가 없어 'return'을 처리할 수 없음");
+            }
+            return true;
         }
 
         // Handle special commands like activate/deactivate
         const activateMatch = line.match(/^(activate|deactivate)\s+(\w+)/);
         if (activateMatch) {
-            // Store activation commands for potential use in animations
-            this.connections.push({
-                id: `command-${this.connections.length}`,
-                type: 'command',
-                command: activateMatch[1],
-                target: activateMatch[2],
-                from: null,
-                to: null,
-                label: `${activateMatch[1]} ${activateMatch[2]}`,
-                arrowType: 'command',
-                style: { strokeWidth: 1, strokeDasharray: 'none' }
-            });
+            // The caller of an explicit activation is whoever just messaged the target
+            const last = this.connections.filter(conn => conn.from && conn.to).pop();
+            const caller = last && last.to === activateMatch[2] ? last.from : null;
+            this.addCommand(activateMatch[1], activateMatch[2], caller);
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Store an activate / deactivate command and open or close the matching activation bar
+     */
+    addCommand(command, target, caller = null) {
+        // Bars start or end on the message just above, or between rows otherwise
+        const last = this.connections.filter(conn => conn.from && conn.to).pop();
+        const row = last && last.row === this.rowCount - 1 ? last.row : this.rowCount - 0.5;
+        let activationId = null;
+
+        if (command === 'activate') {
+            const activation = {
+                id: `activation-${this.activations.length}`,
+                participant: target,
+                caller,
+                depth: this.activationStack.filter(open => open.participant === target).length,
+                startRow: row,
+                endRow: null
+            };
+            this.activations.push(activation);
+            this.activationStack.push(activation);
+            activationId = activation.id;
+        } else {
+            const index = this.activationStack.map(open => open.participant).lastIndexOf(target);
+            if (index === -1) {
+                this.addDiagnostic('warning', `활성화되지 않은 '${target}'을(를) 비활성화하려고 함`);
+                return;
+            }
+
+            const [activation] = this.activationStack.splice(index, 1);
+            activation.endRow = row;
+            activationId = activation.id;
         }
+
+        // Store activation commands for potential use in animations
+        const commandEntry = {
+            id: `command-${this.connections.length}`,
+            type: 'command',
+            command,
+            target,
+            activationId,
+            row,
+            from: null,
+            to: null,
+            label: `${command} ${target}`,
+            arrowType: 'command',
+            style: { strokeWidth: 1, strokeDasharray: 'none' }
+        };
+
+        this.connections.push(commandEntry);
+        this.currentItems().push({ kind: 'command', id: commandEntry.id });
     }
 
     /**
@@ -194,15 +751,25 @@ class PlantUMLParser {
         this.addObject(fromId, fromId);
         this.addObject(toId, toId);
 
-        this.connections.push({
+        const current = this.fragmentStack[this.fragmentStack.length - 1];
+        const connection = {
             id: `${fromId}-${toId}-${this.connections.length}`,
             from: fromId,
             to: toId,
             label,
             arrowType,
             connectionType,
-            style: this.getArrowStyle(arrowType, connectionType)
-        });
+            style: this.getArrowStyle(arrowType, connectionType),
+            fragmentId: current ? current.id : null,
+            branchIndex: current ? current.branches.length - 1 : null,
+            duration: null,
+            anchor: null,
+            row: this.rowCount++
+        };
+
+        this.connections.push(connection);
+        this.currentItems().push({ kind: 'connection', id: connection.id });
+        return connection;
     }
 
     /**
@@ -298,6 +865,69 @@ class PlantUMLParser {
         return objects;
     }
 
+    /**
+     * Place objects that are new to an already arranged diagram without moving the others:
+     * each takes the first cell of the auto-layout grid that no placed object overlaps
+     */
+    placeNewObjects(newObjects, placedObjects, canvasWidth = 800, canvasHeight = 600) {
+        const margin = 20;
+        const placed = [...placedObjects];
+        const overlaps = (obj) => placed.some(other =>
+            obj.x < other.x + other.width + margin && other.x < obj.x + obj.width + margin &&
+            obj.y < other.y + other.height + margin && other.y < obj.y + obj.height + margin
+        );
+
+        newObjects.forEach((obj, index) => {
+            // Candidate cells of a grid sized for every object, tried in reading order
+            const cells = this.autoLayout(
+                [...placed, obj].map(() => ({ width: obj.width, height: obj.height })),
+                canvasWidth,
+                canvasHeight
+            );
+            const free = cells.find(cell => !overlaps({ ...obj, x: cell.x, y: cell.y }));
+
+            if (free) {
+                obj.x = free.x;
+                obj.y = free.y;
+            } else {
+                // Crowded canvas: cascade from the top-left corner
+                obj.x = 50 + (index % 10) * 30;
+                obj.y = 50 + (index % 10) * 30;
+            }
+            placed.push(obj);
+        });
+
+        return newObjects;
+    }
+
+    /**
+     * Lay participants out in declaration order with lifelines and one row per message
+     */
+    sequenceLayout(objects, rowCount, minWidth = 800) {
+        const { padding, top, columnGap, minColumnWidth, rowHeight } = this.sequenceMetrics;
+        const columnWidth = Math.max(minColumnWidth, ...objects.map(obj => obj.width + columnGap));
+
+        objects.forEach((obj, index) => {
+            const centerX = padding + columnWidth * index + columnWidth / 2;
+            obj.x = centerX - obj.width / 2;
+            obj.y = top;
+        });
+
+        const headerBottom = top + Math.max(0, ...objects.map(obj => obj.height));
+        const firstRowY = headerBottom + rowHeight;
+        const lifelineBottom = firstRowY + Math.max(rowCount, 1) * rowHeight;
+
+        return {
+            mode: 'sequence',
+            rowHeight,
+            firstRowY,
+            lifelineBottom,
+            columnWidth,
+            width: Math.max(minWidth, padding * 2 + columnWidth * objects.length),
+            height: lifelineBottom + padding
+        };
+    }
+
     /**
      * Generate sample PlantUML for demonstration
      */